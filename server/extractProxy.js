@@ -0,0 +1,154 @@
+import { Readable } from 'node:stream';
+
+/**
+ * Upstream APIs the proxy may call, with the paths each provider service uses
+ * Anything else is rejected so the proxy can't be used as a general key-holding relay
+ */
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    baseURL: 'https://api.openai.com/v1',
+    keyVar: 'OPENAI_API_KEY',
+    paths: [/^chat\/completions$/],
+    headers: (key) => ({ 'Authorization': `Bearer ${key}` })
+  },
+  gemini: {
+    name: 'Gemini',
+    baseURL: 'https://generativelanguage.googleapis.com/v1beta',
+    keyVar: 'GEMINI_API_KEY',
+    paths: [/^models\/[\w.-]+:(generateContent|streamGenerateContent)(\?alt=sse)?$/],
+    headers: (key) => ({ 'x-goog-api-key': key })
+  },
+  claude: {
+    name: 'Claude',
+    baseURL: 'https://api.anthropic.com/v1',
+    keyVar: 'CLAUDE_API_KEY',
+    paths: [/^messages$/],
+    headers: (key) => ({ 'x-api-key': key, 'anthropic-version': '2023-06-01' })
+  }
+};
+
+const MAX_BODY_SIZE = 40 * 1024 * 1024; // Base64 page images are large
+
+/**
+ * Send a JSON response in the { error: { message } } shape the provider services read
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - JSON body
+ */
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - Request
+ * @returns {Promise<object>} Parsed body
+ */
+export async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+  }
+}
+
+/**
+ * Create the /api/extract request handler
+ * GET returns the providers the server holds keys for; POST { provider, path, body }
+ * forwards body to the provider API with the server's key and streams the answer back.
+ * Works as plain node:http handler or as connect/Express middleware.
+ * @param {object} env - Environment holding OPENAI_API_KEY, GEMINI_API_KEY, CLAUDE_API_KEY
+ * @returns {Function} (req, res) => Promise<void>
+ */
+export function createExtractHandler(env = process.env) {
+  const configuredProviders = () => Object.keys(PROVIDERS).filter((key) => env[PROVIDERS[key].keyVar]);
+
+  return async (req, res) => {
+    if (req.method === 'GET') {
+      sendJson(res, 200, { providers: configuredProviders() });
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'GET, POST');
+      sendJson(res, 405, { error: { message: 'Method not allowed' } });
+      return;
+    }
+
+    let request;
+    try {
+      request = await readJsonBody(req);
+    } catch (error) {
+      sendJson(res, error.status || 400, { error: { message: error.message } });
+      return;
+    }
+
+    const provider = PROVIDERS[request.provider];
+    if (!provider) {
+      sendJson(res, 400, { error: { message: `Unknown provider "${request.provider}"` } });
+      return;
+    }
+    if (!provider.paths.some((pattern) => pattern.test(request.path || ''))) {
+      sendJson(res, 400, { error: { message: `Path "${request.path}" is not allowed for ${provider.name}` } });
+      return;
+    }
+
+    const key = env[provider.keyVar];
+    if (!key) {
+      // Not retryable: the client moves on to its next provider
+      sendJson(res, 501, { error: { message: `${provider.name} is not configured on the proxy server (set ${provider.keyVar})` } });
+      return;
+    }
+
+    // Stop the upstream request if the browser cancels the extraction
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        controller.abort();
+      }
+    });
+
+    try {
+      const upstream = await fetch(`${provider.baseURL}/${request.path}`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/json', ...provider.headers(key) },
+        body: JSON.stringify(request.body)
+      });
+
+      res.statusCode = upstream.status;
+      ['content-type', 'retry-after'].forEach((header) => {
+        const value = upstream.headers.get(header);
+        if (value) {
+          res.setHeader(header, value);
+        }
+      });
+
+      if (!upstream.body) {
+        res.end();
+        return;
+      }
+      Readable.fromWeb(upstream.body)
+        .on('error', () => res.destroy())
+        .pipe(res);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return;
+      }
+      console.error(`${provider.name} proxy request failed:`, error);
+      sendJson(res, 502, { error: { message: `Could not reach ${provider.name}: ${error.message}` } });
+    }
+  };
+}
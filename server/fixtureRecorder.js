@@ -0,0 +1,35 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { readJsonBody, sendJson } from './extractProxy.js';
+
+/**
+ * Create the /api/fixtures request handler used by the mock provider's record mode
+ * POST { imageHash, provider, model, recordedAt, data, usage } writes
+ * <dir>/<imageHash>.json, which the mock provider replays later.
+ * Dev server only: it writes into the source tree.
+ * @param {string} dir - Directory the fixtures are written to (e.g. public/fixtures)
+ * @returns {Function} (req, res) => Promise<void>
+ */
+export function createFixtureHandler(dir) {
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: { message: 'Method not allowed' } });
+      return;
+    }
+
+    try {
+      const fixture = await readJsonBody(req);
+      // The hash becomes the file name, so only accept a hex SHA-256
+      if (!/^[a-f0-9]{64}$/.test(fixture.imageHash || '') || !fixture.data || typeof fixture.data !== 'object') {
+        sendJson(res, 400, { error: { message: 'Expected { imageHash, data }' } });
+        return;
+      }
+
+      await mkdir(dir, { recursive: true });
+      await writeFile(join(dir, `${fixture.imageHash}.json`), `${JSON.stringify(fixture, null, 2)}\n`);
+      sendJson(res, 201, { saved: `${fixture.imageHash}.json` });
+    } catch (error) {
+      sendJson(res, error.status || 500, { error: { message: error.message } });
+    }
+  };
+}
@@ -0,0 +1,76 @@
+import { createServer } from 'node:http';
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createExtractHandler } from './extractProxy.js';
+
+/**
+ * Standalone server for deployments: serves the built app from dist/ and the
+ * /api/extract proxy that holds the provider API keys
+ *
+ * Usage: npm run build && npm start
+ * Keys come from the environment; a .env file in the project root is read if present
+ */
+
+const ENV_FILE = fileURLToPath(new URL('../.env', import.meta.url));
+if (existsSync(ENV_FILE)) {
+  // Variables already set in the environment take precedence
+  process.loadEnvFile(ENV_FILE);
+}
+
+const PORT = parseInt(process.env.PORT || '3001', 10);
+const DIST_DIR = fileURLToPath(new URL('../dist', import.meta.url));
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.gz': 'application/gzip'
+};
+
+const handleExtract = createExtractHandler(process.env);
+
+/**
+ * Serve a file from dist/, falling back to index.html for client-side routes
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ */
+async function serveStatic(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch {
+    // Malformed escapes such as "%E0%A4%A"
+    res.statusCode = 400;
+    res.end('Bad request');
+    return;
+  }
+  // normalize() resolves ".." against the leading slash, so paths can't leave dist/
+  const filePath = join(DIST_DIR, normalize(decodedPath));
+
+  try {
+    const file = await readFile(filePath.endsWith('/') || !extname(filePath) ? join(DIST_DIR, 'index.html') : filePath);
+    res.setHeader('Content-Type', MIME_TYPES[extname(filePath)] || MIME_TYPES['.html']);
+    res.end(file);
+  } catch {
+    res.statusCode = 404;
+    res.end('Not found');
+  }
+}
+
+createServer((req, res) => {
+  if (req.url === '/api/extract' || req.url.startsWith('/api/extract?')) {
+    handleExtract(req, res);
+  } else {
+    serveStatic(req, res);
+  }
+}).listen(PORT, () => {
+  console.log(`FileReadAI server running at http://localhost:${PORT}`);
+});
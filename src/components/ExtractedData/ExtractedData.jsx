@@ -1,9 +1,22 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { useFormStore, useUIStore } from '../../stores';
+import { useFormStore, usePromptStore, useUIStore } from '../../stores';
 import './ExtractedData.scss';
 
+// Result of checking a value against the PDF text layer
+const GROUNDING_LABELS = {
+  matched: '📄 Matches PDF',
+  corrected: '📄 Corrected',
+  mismatch: '⚠️ Differs from PDF'
+};
+const GROUNDING_TITLES = {
+  matched: 'The value matches the text in the PDF',
+  corrected: 'A misread value was corrected to the text in the PDF',
+  mismatch: 'The value differs from the text in the PDF; please check it'
+};
+
 const ExtractedData = () => {
   const extractedData = useFormStore((state) => state.extractedData);
+  const getVersionLabel = usePromptStore((state) => state.getVersionLabel);
   const updateField = useFormStore((state) => state.updateField);
   const toggleFieldVerification = useFormStore((state) => state.toggleFieldVerification);
   const deleteField = useFormStore((state) => state.deleteField);
@@ -15,7 +28,10 @@ const ExtractedData = () => {
   const goToPage = useFormStore((state) => state.goToPage);
   const highlightField = useFormStore((state) => state.highlightField);
   const processing = useFormStore((state) => state.processing);
-  const processingPage = useFormStore((state) => state.processingPage);
+  const pageStatuses = useFormStore((state) => state.pageStatuses);
+  const selectedProvider = useFormStore((state) => state.selectedProvider);
+  const getProviderInfo = useFormStore((state) => state.getProviderInfo);
+  const getTemplates = useFormStore((state) => state.getTemplates);
   const showSuccess = useUIStore((state) => state.showSuccess);
   const showInfo = useUIStore((state) => state.showInfo);
   const showError = useUIStore((state) => state.showError);
@@ -125,6 +141,23 @@ const ExtractedData = () => {
     }
   }, [newFieldId, extractedData]);
 
+  const handlePickCandidate = (event, field, candidate) => {
+    event.stopPropagation();
+    updateField(field.id, { value: candidate.value });
+    showSuccess(`Using value from ${providerLabel(candidate.provider)}`);
+  };
+
+  // Ensemble candidates are only worth showing when providers disagree
+  const hasDisagreement = (field) => {
+    const values = new Set((field.candidates || []).map(c => String(c.value).trim().toLowerCase()));
+    return values.size > 1 || (field.agreement && field.agreement.agreeing.length < field.agreement.total);
+  };
+
+  const providerLabel = (key) => {
+    const info = getProviderInfo(key);
+    return info ? `${info.icon} ${info.name}` : key;
+  };
+
   const handleFieldClick = async (field) => {
     // If field is on a different page, navigate to it first
     if (field.page && field.page !== currentPage && isPDF) {
@@ -145,6 +178,8 @@ const ExtractedData = () => {
   if (!extractedData && !processing) return null;
 
   const { fields = [], formTitle } = extractedData || {};
+  const template = extractedData?.template && getTemplates().find(t => t.key === extractedData.template);
+  const missingCount = fields.filter(f => f.missing).length;
 
   // Group fields by page
   const fieldsByPage = fields.reduce((acc, field) => {
@@ -159,14 +194,24 @@ const ExtractedData = () => {
   const pages = Object.keys(fieldsByPage).sort((a, b) => Number(a) - Number(b));
   const showMultiplePages = isPDF && totalPages > 1;
 
+  // Show which provider produced each field once a fallback provider was involved
+  // (pages read from PDF form fields never needed a provider)
+  const pageProviders = extractedData?.pageProviders || {};
+  const pdfFormPages = extractedData?.pdfFormPages || [];
+  const showProviders = Object.entries(pageProviders)
+    .some(([page, key]) => key !== selectedProvider && !pdfFormPages.includes(Number(page)));
+
   // Filter fields based on selected page
   const displayedFields = selectedPage === 'all' 
     ? fields 
     : fields.filter(f => (f.page || 1) === Number(selectedPage));
 
   // Calculate progress percentage
-  const progressPercent = processingPage && totalPages 
-    ? (processingPage / totalPages) * 100 
+  const statusList = Object.entries(pageStatuses);
+  const pagesFinished = statusList.filter(([, status]) => status === 'done' || status === 'failed' || status === 'skipped').length;
+  const pagesRunning = statusList.filter(([, status]) => status === 'running').length;
+  const progressPercent = statusList.length
+    ? (pagesFinished / statusList.length) * 100
     : 0;
 
   return (
@@ -175,6 +220,15 @@ const ExtractedData = () => {
         <div>
           <h2>✅ Extracted Data</h2>
           {formTitle && <p className="form-title">{formTitle}</p>}
+          {template && (
+            <p className="template-info">
+              {template.icon} {template.name}{extractedData.templateDetected ? ' (auto-detected)' : ''}
+              {missingCount > 0 && ` · ${missingCount} expected ${missingCount === 1 ? 'field' : 'fields'} not found`}
+            </p>
+          )}
+          {extractedData?.promptVersion && (
+            <p className="template-info">📝 Prompt {getVersionLabel(extractedData.promptVersion)}</p>
+          )}
         </div>
         <div className="header-actions">
           <button onClick={() => handleExport('json')} className="btn-icon" title="Export JSON">
@@ -194,23 +248,52 @@ const ExtractedData = () => {
           <div className="progress-info">
             <span className="progress-icon">⏳</span>
             <span className="progress-text">
-              {processingPage && totalPages > 1 
-                ? `Extracting fields from page ${processingPage} of ${totalPages}...`
+              {statusList.length > 1
+                ? `Extracting fields: ${pagesFinished} of ${statusList.length} pages finished, ${pagesRunning} running...`
+                : fields.length > 0
+                ? `Extracting fields: ${fields.length} found so far...`
                 : 'Extracting fields...'}
             </span>
           </div>
-          {processingPage && totalPages > 1 && (
-            <div className="progress-bar">
-              <div 
-                className="progress-fill" 
-                style={{ width: `${progressPercent}%` }}
-              />
-            </div>
+          {statusList.length > 1 && (
+            <>
+              <div className="progress-bar">
+                <div 
+                  className="progress-fill" 
+                  style={{ width: `${progressPercent}%` }}
+                />
+              </div>
+              <div className="page-statuses">
+                {statusList.map(([page, status]) => (
+                  <span key={page} className={`page-status ${status}`} title={`Page ${page}: ${status}`}>
+                    {page}
+                  </span>
+                ))}
+              </div>
+            </>
           )}
         </div>
       )}
 
 
+      {extractedData?.partial && !processing && (
+        <div className="partial-notice">
+          {extractedData.cancelled
+            ? `⚠️ Extraction was cancelled. Showing fields from ${Object.keys(pageProviders).length} of ${showMultiplePages ? totalPages : 1} pages.`
+            : `⚠️ Extraction failed on page ${extractedData.failedPages.join(', ')}. Showing fields from the other pages.`}
+        </div>
+      )}
+
+      {extractedData?.skippedPages?.length > 0 && !processing && (
+        <div className="skipped-notice">
+          ⏭️ Skipped {extractedData.skippedPages.length === 1 ? 'page' : 'pages'}{' '}
+          {extractedData.skippedPages
+            .map(page => `${page} (${extractedData.pageClassifications[page]?.pageType})`)
+            .join(', ')}
+          : classified as having no fields.
+        </div>
+      )}
+
       {showMultiplePages && (
         <div className="page-filter">
           <label>Filter by page:</label>
@@ -223,6 +306,7 @@ const ExtractedData = () => {
             {pages.map(page => (
               <option key={page} value={page}>
                 Page {page} ({fieldsByPage[page].length} fields)
+                {showProviders && pageProviders[page] ? ` · ${providerLabel(pageProviders[page])}` : ''}
               </option>
             ))}
           </select>
@@ -243,16 +327,47 @@ const ExtractedData = () => {
             <div
               key={field.id}
               ref={(el) => (fieldRefs.current[field.id] = el)}
-              className={`field-item ${field.verified ? 'verified' : ''}`}
+              className={`field-item ${field.verified ? 'verified' : ''} ${field.streaming ? 'streaming' : ''} ${field.missing ? 'missing' : ''}`}
               onClick={() => handleFieldClick(field)}
             >
               <div className="field-header">
                 <div className="field-info">
                   <span className="field-label">{field.label}</span>
-                  <span className="field-type">{field.type}</span>
+                  {field.type === null ? (
+                    <span className="field-type invalid" title="The AI returned a type that isn't supported">
+                      Unknown type
+                    </span>
+                  ) : (
+                    <span className="field-type">{field.type}</span>
+                  )}
+                  {field.missing && (
+                    <span className="missing-badge" title="Expected by the template but not found on the form">
+                      Not found
+                    </span>
+                  )}
+                  {field.grounding && (
+                    <span className={`grounding-badge ${field.grounding}`} title={GROUNDING_TITLES[field.grounding]}>
+                      {GROUNDING_LABELS[field.grounding]}
+                    </span>
+                  )}
                   {showMultiplePages && selectedPage === 'all' && (
                     <span className="page-badge">Page {field.page || 1}</span>
                   )}
+                  {field.source ? (
+                    <span
+                      className="provider-badge source"
+                      title={`Read from the PDF form field "${field.fieldName}"`}
+                    >
+                      {providerLabel(field.source)}
+                    </span>
+                  ) : showProviders && field.provider && (
+                    <span
+                      className={`provider-badge ${field.provider !== selectedProvider ? 'fallback' : ''}`}
+                      title={field.provider !== selectedProvider ? 'Extracted by fallback provider' : 'Extracted by selected provider'}
+                    >
+                      {providerLabel(field.provider)}
+                    </span>
+                  )}
                 </div>
                 <div className="field-actions">
                   <button
@@ -308,8 +423,8 @@ const ExtractedData = () => {
                   </div>
                 ) : (
                   <div className="field-display">
-                    <span className="value-text">{field.value || '(empty)'}</span>
-                    {field.confidence !== undefined && (
+                    <span className="value-text">{field.value || (field.missing ? '(not found - edit to fill in)' : '(empty)')}</span>
+                    {field.confidence != null && (
                       <span
                         className={`confidence ${
                           field.confidence > 0.8
@@ -319,11 +434,36 @@ const ExtractedData = () => {
                             : 'low'
                         }`}
                       >
-                        {Math.round(field.confidence * 100)}% confident
+                        {field.agreement
+                          ? `${field.agreement.agreeing.length}/${field.agreement.total} agree`
+                          : `${Math.round(field.confidence * 100)}% confident`}
                       </span>
                     )}
                   </div>
                 )}
+                {editingField !== field.id && field.candidates && hasDisagreement(field) && (
+                  <div className="field-candidates">
+                    <span className="candidates-label">Providers disagree:</span>
+                    {field.candidates.map((candidate) => (
+                      <button
+                        key={candidate.provider}
+                        onClick={(e) => handlePickCandidate(e, field, candidate)}
+                        className={`candidate-chip ${candidate.value === field.value ? 'selected' : ''}`}
+                        title={`Use value from ${providerLabel(candidate.provider)}`}
+                      >
+                        <span className="candidate-provider">{providerLabel(candidate.provider)}</span>
+                        <span className="candidate-value">{candidate.value || '(empty)'}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {field.warnings?.length > 0 && (
+                  <ul className="field-warnings">
+                    {field.warnings.map((warning) => (
+                      <li key={warning}>⚠️ {warning}</li>
+                    ))}
+                  </ul>
+                )}
               </div>
             </div>
           ))
@@ -6,6 +6,9 @@ const FileUpload = () => {
   const fileInputRef = useRef(null);
   const uploadForm = useFormStore((state) => state.uploadForm);
   const processing = useFormStore((state) => state.processing);
+  const selectedTemplate = useFormStore((state) => state.selectedTemplate);
+  const setTemplate = useFormStore((state) => state.setTemplate);
+  const getTemplates = useFormStore((state) => state.getTemplates);
   const showError = useUIStore((state) => state.showError);
 
   const handleFileSelect = async (event) => {
@@ -69,6 +72,24 @@ const FileUpload = () => {
         <p>Click to browse or drag and drop</p>
         <span className="upload-hint">Supports: JPG, PNG, WebP, PDF (max 10MB)</span>
       </div>
+
+      <div className="template-select">
+        <label htmlFor="upload-template">Document type</label>
+        <select
+          id="upload-template"
+          value={selectedTemplate}
+          onChange={(e) => setTemplate(e.target.value)}
+          disabled={processing}
+        >
+          <option value="auto">🔍 Auto-detect</option>
+          <option value="none">📄 Generic form</option>
+          {getTemplates().map((template) => (
+            <option key={template.key} value={template.key}>
+              {template.icon} {template.name}
+            </option>
+          ))}
+        </select>
+      </div>
     </div>
   );
 };
@@ -1,34 +1,56 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useFormStore, useUIStore } from '../../stores';
+import PageEditor from '../PageEditor/PageEditor';
 import './FormViewer.scss';
 
 const FormViewer = () => {
   const imagePreview = useFormStore((state) => state.imagePreview);
+  const originalPreview = useFormStore((state) => state.originalPreview);
+  const preprocessingSteps = useFormStore((state) => state.preprocessingSteps);
+  const showOriginal = useFormStore((state) => state.showOriginal);
+  const setShowOriginal = useFormStore((state) => state.setShowOriginal);
   const currentForm = useFormStore((state) => state.currentForm);
   const processing = useFormStore((state) => state.processing);
   const extractFields = useFormStore((state) => state.extractFields);
+  const cancelExtraction = useFormStore((state) => state.cancelExtraction);
   const extractedData = useFormStore((state) => state.extractedData);
   const selectedProvider = useFormStore((state) => state.selectedProvider);
   const setProvider = useFormStore((state) => state.setProvider);
   const getAvailableProviders = useFormStore((state) => state.getAvailableProviders);
+  const subscribeToProviders = useFormStore((state) => state.subscribeToProviders);
+  const providerModels = useFormStore((state) => state.providerModels);
+  const selectedModel = useFormStore((state) => state.selectedModel);
+  const dailyRequestCounts = useFormStore((state) => state.dailyRequestCounts);
+  const loadProviderModels = useFormStore((state) => state.loadProviderModels);
+  const setProviderModel = useFormStore((state) => state.setProviderModel);
+  const selectedTemplate = useFormStore((state) => state.selectedTemplate);
+  const setTemplate = useFormStore((state) => state.setTemplate);
+  const getTemplates = useFormStore((state) => state.getTemplates);
   const isPDF = useFormStore((state) => state.isPDF);
   const currentPage = useFormStore((state) => state.currentPage);
   const totalPages = useFormStore((state) => state.totalPages);
-  const processingPage = useFormStore((state) => state.processingPage);
+  const pageStatuses = useFormStore((state) => state.pageStatuses);
   const goToPage = useFormStore((state) => state.goToPage);
   const highlightedFieldId = useFormStore((state) => state.highlightedFieldId);
   const showSuccess = useUIStore((state) => state.showSuccess);
   const showError = useUIStore((state) => state.showError);
+  const showInfo = useUIStore((state) => state.showInfo);
+  const showWarning = useUIStore((state) => state.showWarning);
 
   const [providers, setProviders] = useState([]);
   const imageRef = useRef(null);
   const canvasRef = useRef(null);
 
   useEffect(() => {
-    // Load available providers on mount
-    const availableProviders = getAvailableProviders();
-    setProviders(availableProviders);
-  }, [getAvailableProviders]);
+    // Load available providers on mount and follow later registrations
+    setProviders(getAvailableProviders());
+    return subscribeToProviders(setProviders);
+  }, [getAvailableProviders, subscribeToProviders]);
+
+  useEffect(() => {
+    // Local servers report their installed models; other providers return none
+    loadProviderModels().catch((error) => showError(error.message));
+  }, [selectedProvider, loadProviderModels, showError]);
 
   // Handle field highlighting
   useEffect(() => {
@@ -36,6 +58,12 @@ const FormViewer = () => {
       return;
     }
 
+    // Boxes refer to the processed photo
+    if (showOriginal) {
+      setShowOriginal(false);
+      return;
+    }
+
     const field = extractedData.fields.find(f => f.id === highlightedFieldId);
     if (!field || !field.boundingBox) {
       return;
@@ -117,12 +145,38 @@ const FormViewer = () => {
     } else {
       image.onload = drawHighlight;
     }
-  }, [highlightedFieldId, extractedData, imagePreview]);
+  }, [highlightedFieldId, extractedData, imagePreview, showOriginal, setShowOriginal]);
+
+  const selectedProviderInfo = providers.find(p => p.key === selectedProvider);
+  const pagesFinished = Object.values(pageStatuses).filter(status => status === 'done' || status === 'failed' || status === 'skipped').length;
 
-  const handleExtract = async () => {
+  const handleExtract = async ({ forceFresh = false } = {}) => {
     try {
-      await extractFields();
-      showSuccess('Form fields extracted successfully!');
+      const result = await extractFields({ forceFresh });
+      if (!result) {
+        showInfo('Extraction cancelled');
+      } else if (result.cancelled) {
+        const pagesDone = Object.keys(result.pageProviders).length;
+        showWarning(`Extraction cancelled. Kept results from ${pagesDone} of ${totalPages} pages`);
+      } else if (result.partial) {
+        showWarning(`Extraction failed on page ${result.failedPages.join(', ')}. Other pages were kept`);
+      } else {
+        const pagesExtracted = Object.keys(result.pageProviders).length;
+        const skipped = result.skippedPages.length > 0
+          ? ` Skipped ${result.skippedPages.length} ${result.skippedPages.length === 1 ? 'page' : 'pages'} without fields.`
+          : '';
+        const pdfForm = result.pdfFormPages.length === 0 ? ''
+          : result.pdfFormPages.length === pagesExtracted
+            ? ' Read from the PDF form fields (no API cost).'
+            : ` ${result.pdfFormPages.length} of ${pagesExtracted} pages read from PDF form fields.`;
+        if (result.cachedPages.length > 0) {
+          showSuccess((result.cachedPages.length === pagesExtracted
+            ? 'Form fields loaded from cache (no API cost).'
+            : `Form fields extracted (${result.cachedPages.length} of ${pagesExtracted} pages from cache).`) + pdfForm + skipped);
+        } else {
+          showSuccess(`Form fields extracted successfully!${pdfForm}${skipped}`);
+        }
+      }
     } catch (error) {
       showError(error.message);
     }
@@ -138,6 +192,14 @@ const FormViewer = () => {
     }
   };
 
+  const handleModelChange = (e) => {
+    try {
+      setProviderModel(e.target.value);
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
   const handlePreviousPage = async () => {
     if (currentPage > 1) {
       try {
@@ -171,22 +233,34 @@ const FormViewer = () => {
           <div className="header-actions">
             {!extractedData || processing ? (
               <>
-                <button
-                  onClick={handleExtract}
-                  disabled={processing}
-                  className="btn-extract-compact"
-                >
-                  {processing ? (
-                    <>
-                      <span className="spinner-small"></span>
-                      {processingPage && totalPages > 1 
-                        ? `Processing page ${processingPage}/${totalPages}...` 
-                        : 'Processing...'}
-                    </>
-                  ) : (
-                    'Extract Fields'
+                <div className="extract-actions">
+                  <button
+                    onClick={() => handleExtract()}
+                    disabled={processing}
+                    className="btn-extract-compact"
+                  >
+                    {processing ? (
+                      <>
+                        <span className="spinner-small"></span>
+                        {totalPages > 1
+                          ? `Processing ${pagesFinished}/${totalPages} pages...`
+                          : 'Processing...'}
+                      </>
+                    ) : (
+                      'Extract Fields'
+                    )}
+                  </button>
+
+                  {processing && (
+                    <button
+                      onClick={cancelExtraction}
+                      className="btn-cancel-extract"
+                      title="Stop extraction and keep finished pages"
+                    >
+                      Cancel
+                    </button>
                   )}
-                </button>
+                </div>
                 
                 <div className="model-select-inline">
                   <span className="using-text">using</span>
@@ -202,17 +276,65 @@ const FormViewer = () => {
                       </option>
                     ))}
                   </select>
+                  {providerModels.length > 0 && (
+                    <select
+                      value={selectedModel || ''}
+                      onChange={handleModelChange}
+                      disabled={processing}
+                      className="model-dropdown-inline"
+                      title="Model"
+                    >
+                      {providerModels.map((model) => (
+                        <option key={model} value={model}>
+                          {model}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+                  <span className="using-text">as</span>
+                  <select
+                    value={selectedTemplate}
+                    onChange={(e) => setTemplate(e.target.value)}
+                    disabled={processing}
+                    className="model-dropdown-inline"
+                    title="Document type"
+                  >
+                    <option value="auto">Auto-detect</option>
+                    <option value="none">Generic form</option>
+                    {getTemplates().map((template) => (
+                      <option key={template.key} value={template.key}>
+                        {template.name}
+                      </option>
+                    ))}
+                  </select>
+                  <span
+                    className="request-count"
+                    title={selectedProviderInfo?.capabilities.requestsPerMinute
+                      ? `Requests sent today (limited to ${selectedProviderInfo.capabilities.requestsPerMinute}/min)`
+                      : 'Requests sent today'}
+                  >
+                    {dailyRequestCounts[selectedProvider] || 0} today
+                  </span>
                 </div>
               </>
             ) : (
-              <button
-                onClick={handleExtract}
-                className="btn-retry"
-                title="Re-extract fields"
-              >
-                <span className="retry-icon">🔄</span>
-                Retry
-              </button>
+              <div className="extract-actions">
+                <button
+                  onClick={() => handleExtract()}
+                  className="btn-retry"
+                  title="Re-extract fields (reuses cached responses)"
+                >
+                  <span className="retry-icon">🔄</span>
+                  Retry
+                </button>
+                <button
+                  onClick={() => handleExtract({ forceFresh: true })}
+                  className="btn-retry"
+                  title="Re-extract fields without using cached responses"
+                >
+                  Fresh
+                </button>
+              </div>
             )}
           </div>
         )}
@@ -224,14 +346,32 @@ const FormViewer = () => {
             <div className="image-wrapper">
               <img 
                 ref={imageRef}
-                src={imagePreview} 
-                alt="Form preview" 
+                src={showOriginal ? originalPreview : imagePreview} 
+                alt={showOriginal ? 'Form as uploaded' : 'Form preview'} 
                 className="form-image" 
               />
               <canvas 
                 ref={canvasRef}
                 className="highlight-canvas"
               />
+              {/* Pages can be rotated and cropped until they are extracted */}
+              {!extractedData && !processing && !showOriginal && <PageEditor />}
+              {originalPreview && (
+                <div className="preprocessing-toggle" title={preprocessingSteps.join(', ')}>
+                  <button
+                    onClick={() => setShowOriginal(false)}
+                    className={`toggle-btn ${showOriginal ? '' : 'active'}`}
+                  >
+                    Processed
+                  </button>
+                  <button
+                    onClick={() => setShowOriginal(true)}
+                    className={`toggle-btn ${showOriginal ? 'active' : ''}`}
+                  >
+                    Original
+                  </button>
+                </div>
+              )}
               {isPDF && totalPages > 1 && (
                 <div className="pdf-navigation">
                   <button
@@ -1,11 +1,18 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useFormStore } from '../../stores';
+import SettingsDialog from '../SettingsDialog/SettingsDialog';
+import PromptDialog from '../PromptDialog/PromptDialog';
 import './Header.scss';
 
+// Small amounts need more precision to be meaningful
+const formatCost = (cost) => `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+
 const Header = () => {
   const stats = useFormStore((state) => state.getStats());
   const clearForm = useFormStore((state) => state.clearForm);
   const processing = useFormStore((state) => state.processing);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [promptsOpen, setPromptsOpen] = useState(false);
 
   return (
     <header className="header">
@@ -19,24 +26,60 @@ const Header = () => {
         </div>
 
         <div className="header-right">
-          {stats.hasCurrentForm && (
+          {(stats.hasCurrentForm || stats.totalCost > 0) && (
             <div className="stats">
-              <div className="stat-item">
-                <span className="stat-label">Fields:</span>
-                <span className="stat-value">{stats.currentFieldsCount}</span>
-              </div>
-              <div className="stat-item">
-                <span className="stat-label">Verified:</span>
-                <span className="stat-value">{stats.verifiedFieldsCount}</span>
+              {stats.hasCurrentForm && (
+                <>
+                  <div
+                    className="stat-item"
+                    title={stats.missingFieldsCount > 0
+                      ? `Fields found on the form; ${stats.missingFieldsCount} expected by the template were not found`
+                      : 'Fields found on the form'}
+                  >
+                    <span className="stat-label">Fields:</span>
+                    <span className="stat-value">{stats.currentFieldsCount}</span>
+                  </div>
+                  <div className="stat-item">
+                    <span className="stat-label">Verified:</span>
+                    <span className="stat-value">{stats.verifiedFieldsCount}</span>
+                  </div>
+                  <div className="stat-item" title="Estimated cost of the current form">
+                    <span className="stat-label">Cost:</span>
+                    <span className="stat-value">{formatCost(stats.currentCost)}</span>
+                  </div>
+                </>
+              )}
+              <div className="stat-item" title="Estimated cost of all extractions">
+                <span className="stat-label">Total:</span>
+                <span className="stat-value">{formatCost(stats.totalCost)}</span>
               </div>
             </div>
           )}
           
+          <button
+            onClick={() => setPromptsOpen(true)}
+            className="btn-secondary"
+            disabled={processing}
+            title="Extraction prompt versions and A/B comparison"
+          >
+            📝 Prompts
+          </button>
+          <button
+            onClick={() => setSettingsOpen(true)}
+            className="btn-secondary"
+            disabled={processing}
+            title="Provider settings"
+          >
+            ⚙️ Settings
+          </button>
           <button onClick={clearForm} className="btn-secondary" disabled={processing}>
             New Form
           </button>
         </div>
       </div>
+
+      {settingsOpen && <SettingsDialog onClose={() => setSettingsOpen(false)} />}
+      {promptsOpen && <PromptDialog onClose={() => setPromptsOpen(false)} />}
     </header>
   );
 };
@@ -0,0 +1,118 @@
+import React, { useEffect, useState } from 'react';
+import { useFormStore, usePromptStore, useUIStore } from '../../stores';
+import './LearnedCorrections.scss';
+
+// Long values are cut in the list; the full text is in the tooltip
+const shorten = (text) => {
+  const value = String(text ?? '');
+  return value.length > 60 ? `${value.slice(0, 57)}...` : value || '(empty)';
+};
+
+const LearnedCorrections = () => {
+  const correctionCounts = usePromptStore((state) => state.correctionCounts);
+  const refreshCorrectionCounts = usePromptStore((state) => state.refreshCorrectionCounts);
+  const getCorrections = usePromptStore((state) => state.getCorrections);
+  const deleteCorrection = usePromptStore((state) => state.deleteCorrection);
+  const clearCorrections = usePromptStore((state) => state.clearCorrections);
+  const getTemplates = useFormStore((state) => state.getTemplates);
+  const showError = useUIStore((state) => state.showError);
+
+  const [openTemplate, setOpenTemplate] = useState(null);
+  const [corrections, setCorrections] = useState([]);
+
+  useEffect(() => {
+    refreshCorrectionCounts();
+  }, [refreshCorrectionCounts]);
+
+  const loadCorrections = async (template) => {
+    try {
+      setCorrections(await getCorrections(template));
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const toggleTemplate = (template) => {
+    if (openTemplate === template) {
+      setOpenTemplate(null);
+      return;
+    }
+    setOpenTemplate(template);
+    setCorrections([]);
+    loadCorrections(template);
+  };
+
+  const handleDelete = async (id) => {
+    await deleteCorrection(id);
+    await loadCorrections(openTemplate);
+  };
+
+  const handleClear = async (template, name) => {
+    if (window.confirm(`Forget all corrections of ${name}?`)) {
+      await clearCorrections(template);
+      if (openTemplate === template) {
+        setOpenTemplate(null);
+      }
+    }
+  };
+
+  const templates = getTemplates().filter((template) => correctionCounts[template.key]);
+
+  if (templates.length === 0) {
+    return (
+      <p className="prompt-hint">
+        No corrections yet. Edits to fields of a templated form are remembered and shown to the model
+        as examples the next time that template is used.
+      </p>
+    );
+  }
+
+  return (
+    <div className="learned-corrections">
+      {templates.map((template) => (
+        <div key={template.key} className="correction-template">
+          <div className="correction-template-header">
+            <button onClick={() => toggleTemplate(template.key)} className="correction-toggle">
+              {openTemplate === template.key ? '▾' : '▸'} {template.icon} {template.name}
+              <span className="correction-count">{correctionCounts[template.key]}</span>
+            </button>
+            <button onClick={() => handleClear(template.key, template.name)} className="btn-cancel btn-danger-text">
+              Forget
+            </button>
+          </div>
+
+          {openTemplate === template.key && (
+            <ul className="correction-list">
+              {corrections.map((correction) => (
+                <li key={correction.id} className="correction-item">
+                  {correction.crop
+                    ? <img src={correction.crop} alt={correction.corrected.label} className="correction-crop" />
+                    : <span className="correction-crop empty">No image</span>}
+                  <div className="correction-text">
+                    <span className="correction-label">
+                      {correction.original.label !== correction.corrected.label && (
+                        <s title={correction.original.label}>{shorten(correction.original.label)}</s>
+                      )}
+                      {shorten(correction.corrected.label)}
+                    </span>
+                    <span className="correction-value">
+                      {correction.original.value !== correction.corrected.value && (
+                        <s title={correction.original.value}>{shorten(correction.original.value)}</s>
+                      )}
+                      <span title={correction.corrected.value}>{shorten(correction.corrected.value)}</span>
+                    </span>
+                  </div>
+                  <button onClick={() => handleDelete(correction.id)} className="btn-icon-small" title="Forget this correction">
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LearnedCorrections;
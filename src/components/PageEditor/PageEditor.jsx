@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { useFormStore, useUIStore } from '../../stores';
+import './PageEditor.scss';
+
+// Selections smaller than this fraction of the page in either direction are ignored
+const MIN_CROP_SIZE = 0.02;
+
+// Pointer position as a fraction of the overlay, clamped to the page
+const getPoint = (event, element) => {
+  const rect = element.getBoundingClientRect();
+  return {
+    x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+    y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+  };
+};
+
+/**
+ * Rotate and crop tools for the page shown in the FormViewer
+ * Edits are made before extraction and remembered per page
+ */
+const PageEditor = () => {
+  const currentPage = useFormStore((state) => state.currentPage);
+  const pageEdits = useFormStore((state) => state.pageEdits);
+  const rotatePage = useFormStore((state) => state.rotatePage);
+  const cropPage = useFormStore((state) => state.cropPage);
+  const resetPageEdit = useFormStore((state) => state.resetPageEdit);
+  const showError = useUIStore((state) => state.showError);
+
+  const [cropping, setCropping] = useState(false);
+  const [dragStart, setDragStart] = useState(null);
+  const [selection, setSelection] = useState(null);
+
+  // A selection belongs to the page it was drawn on
+  useEffect(() => {
+    setCropping(false);
+    setSelection(null);
+  }, [currentPage]);
+
+  const runEdit = async (edit) => {
+    try {
+      await edit();
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = getPoint(event, event.currentTarget);
+    setDragStart(point);
+    setSelection({ ...point, width: 0, height: 0 });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragStart) {
+      return;
+    }
+    const point = getPoint(event, event.currentTarget);
+    setSelection({
+      x: Math.min(dragStart.x, point.x),
+      y: Math.min(dragStart.y, point.y),
+      width: Math.abs(point.x - dragStart.x),
+      height: Math.abs(point.y - dragStart.y)
+    });
+  };
+
+  const handlePointerUp = () => {
+    setDragStart(null);
+    if (selection && (selection.width < MIN_CROP_SIZE || selection.height < MIN_CROP_SIZE)) {
+      setSelection(null);
+    }
+  };
+
+  const cancelCrop = () => {
+    setCropping(false);
+    setSelection(null);
+  };
+
+  const applyCrop = () => {
+    cancelCrop();
+    runEdit(() => cropPage(selection));
+  };
+
+  const isEdited = !!pageEdits[currentPage];
+
+  return (
+    <>
+      {cropping && (
+        <div
+          className="crop-overlay"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        >
+          {selection && (
+            <div
+              className="crop-selection"
+              style={{
+                left: `${selection.x * 100}%`,
+                top: `${selection.y * 100}%`,
+                width: `${selection.width * 100}%`,
+                height: `${selection.height * 100}%`
+              }}
+            />
+          )}
+        </div>
+      )}
+
+      <div className="page-editor">
+        {cropping ? (
+          <>
+            <span className="editor-hint">Drag over the area to keep</span>
+            <button onClick={applyCrop} disabled={!selection || !!dragStart} className="editor-btn primary">
+              Apply
+            </button>
+            <button onClick={cancelCrop} className="editor-btn">
+              Cancel
+            </button>
+          </>
+        ) : (
+          <>
+            <button onClick={() => runEdit(() => rotatePage(-90))} className="editor-btn" title="Rotate left">
+              ⟲
+            </button>
+            <button onClick={() => runEdit(() => rotatePage(90))} className="editor-btn" title="Rotate right">
+              ⟳
+            </button>
+            <button onClick={() => setCropping(true)} className="editor-btn" title="Crop">
+              ✂
+            </button>
+            {isEdited && (
+              <button onClick={() => runEdit(resetPageEdit)} className="editor-btn" title="Undo the edits of this page">
+                Reset
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default PageEditor;
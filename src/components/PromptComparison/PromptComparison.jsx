@@ -0,0 +1,176 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useFormStore, usePromptStore, useUIStore } from '../../stores';
+import './PromptComparison.scss';
+
+const STATUS_LABELS = {
+  changed: 'Changed',
+  added: 'Added',
+  missing: 'Missing',
+  same: 'Same'
+};
+
+// Empty values are shown as such rather than as a blank cell
+const formatValue = (field) => {
+  if (!field) return '—';
+  return field.value === '' ? '(empty)' : field.value;
+};
+
+const PromptComparison = () => {
+  const versions = usePromptStore((state) => state.versions);
+  const activeVersionId = usePromptStore((state) => state.activeVersionId);
+  const getVersionLabel = usePromptStore((state) => state.getVersionLabel);
+  const comparePromptVersions = useFormStore((state) => state.comparePromptVersions);
+  const processing = useFormStore((state) => state.processing);
+  const currentPage = useFormStore((state) => state.currentPage);
+  const showError = useUIStore((state) => state.showError);
+
+  // Compare the active version against the newest other one by default
+  const [versionA, setVersionA] = useState(activeVersionId);
+  const [versionB, setVersionB] = useState(
+    () => [...versions].reverse().find((version) => version.id !== activeVersionId)?.id || activeVersionId
+  );
+  const [forceFresh, setForceFresh] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [comparison, setComparison] = useState(null);
+  const [differencesOnly, setDifferencesOnly] = useState(true);
+  const abortRef = useRef(null);
+
+  // Closing the dialog cancels a comparison still running
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleCompare = async () => {
+    const abortController = new AbortController();
+    abortRef.current = abortController;
+    setRunning(true);
+    setComparison(null);
+    try {
+      setComparison(await comparePromptVersions(versionA, versionB, { signal: abortController.signal, forceFresh }));
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        showError(`Comparison failed: ${error.message}`);
+      }
+    } finally {
+      if (!abortController.signal.aborted) {
+        setRunning(false);
+      }
+      abortRef.current = null;
+    }
+  };
+
+  const handleCancel = () => {
+    abortRef.current?.abort();
+    setRunning(false);
+  };
+
+  const counts = comparison
+    ? comparison.rows.reduce((total, row) => ({ ...total, [row.status]: (total[row.status] || 0) + 1 }), {})
+    : {};
+  const rows = comparison
+    ? comparison.rows.filter((row) => !differencesOnly || row.status !== 'same')
+    : [];
+
+  const renderVersionSelect = (id, value, onChange) => (
+    <select id={id} value={value} onChange={(e) => onChange(e.target.value)} disabled={running}>
+      {versions.map((version) => (
+        <option key={version.id} value={version.id}>{getVersionLabel(version.id)}</option>
+      ))}
+    </select>
+  );
+
+  const renderRunSummary = (run) => (
+    <span className="comparison-run">
+      {run.fields.length} fields · {run.cached ? 'cached' : `$${(run.usage?.cost || 0).toFixed(4)}`}
+    </span>
+  );
+
+  return (
+    <div className="prompt-comparison">
+      <div className="comparison-controls">
+        <div className="form-group">
+          <label htmlFor="compare-version-a">A (baseline)</label>
+          {renderVersionSelect('compare-version-a', versionA, setVersionA)}
+        </div>
+        <div className="form-group">
+          <label htmlFor="compare-version-b">B</label>
+          {renderVersionSelect('compare-version-b', versionB, setVersionB)}
+        </div>
+        {running ? (
+          <button onClick={handleCancel} className="btn-cancel">Cancel</button>
+        ) : (
+          <button onClick={handleCompare} className="btn-save" disabled={processing || versionA === versionB}>
+            Compare page {currentPage}
+          </button>
+        )}
+      </div>
+      <label className="comparison-option">
+        <input
+          type="checkbox"
+          checked={forceFresh}
+          onChange={(e) => setForceFresh(e.target.checked)}
+          disabled={running}
+        />
+        Ignore cached responses
+      </label>
+
+      {running && <p className="comparison-status">Extracting with both versions...</p>}
+
+      {comparison && (
+        <>
+          <div className="comparison-summary">
+            <span>A: {getVersionLabel(comparison.a.promptVersion)} {renderRunSummary(comparison.a)}</span>
+            <span>B: {getVersionLabel(comparison.b.promptVersion)} {renderRunSummary(comparison.b)}</span>
+            <div className="comparison-counts">
+              {Object.keys(STATUS_LABELS).map((status) => (
+                <span key={status} className={`comparison-count ${status}`}>
+                  {counts[status] || 0} {STATUS_LABELS[status].toLowerCase()}
+                </span>
+              ))}
+            </div>
+            <label className="comparison-option">
+              <input
+                type="checkbox"
+                checked={differencesOnly}
+                onChange={(e) => setDifferencesOnly(e.target.checked)}
+              />
+              Differences only
+            </label>
+          </div>
+
+          {rows.length === 0 ? (
+            <p className="comparison-status">
+              {comparison.rows.length === 0 ? 'Neither version found any fields.' : 'Both versions extracted the same fields and values.'}
+            </p>
+          ) : (
+            <table className="comparison-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>A</th>
+                  <th>B</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={`${row.a?.id || row.b?.id}_${index}`} className={row.status}>
+                    <td>
+                      {row.label}
+                      {row.b && row.a && row.b.label !== row.a.label && (
+                        <span className="comparison-label-b">B: {row.b.label}</span>
+                      )}
+                    </td>
+                    <td>{formatValue(row.a)}</td>
+                    <td>{formatValue(row.b)}</td>
+                    <td><span className={`comparison-badge ${row.status}`}>{STATUS_LABELS[row.status]}</span></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PromptComparison;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { useFormStore, usePromptStore, useUIStore } from '../../stores';
+import PromptComparison from '../PromptComparison/PromptComparison';
+import LearnedCorrections from '../LearnedCorrections/LearnedCorrections';
+import './PromptDialog.scss';
+
+const PromptDialog = ({ onClose }) => {
+  const versions = usePromptStore((state) => state.versions);
+  const activeVersionId = usePromptStore((state) => state.activeVersionId);
+  const getVersionLabel = usePromptStore((state) => state.getVersionLabel);
+  const setActiveVersion = usePromptStore((state) => state.setActiveVersion);
+  const saveVersion = usePromptStore((state) => state.saveVersion);
+  const deleteVersion = usePromptStore((state) => state.deleteVersion);
+  const hasForm = useFormStore((state) => !!state.currentForm);
+  const showSuccess = useUIStore((state) => state.showSuccess);
+  const showError = useUIStore((state) => state.showError);
+
+  const findVersion = (id) => versions.find((version) => version.id === id) || versions[0];
+
+  const [selectedId, setSelectedId] = useState(activeVersionId);
+  const selected = findVersion(selectedId);
+  const [draft, setDraft] = useState({ name: selected.name, text: selected.text });
+  const edited = draft.name.trim() !== selected.name || draft.text !== selected.text;
+
+  const selectVersion = (id) => {
+    const version = findVersion(id);
+    setSelectedId(version.id);
+    setDraft({ name: version.name, text: version.text });
+  };
+
+  const handleSave = () => {
+    try {
+      const version = saveVersion(draft.name, draft.text);
+      selectVersion(version.id);
+      showSuccess(`Saved prompt ${getVersionLabel(version.id)}`);
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete prompt ${getVersionLabel(selected.id)}?`)) {
+      deleteVersion(selected.id);
+      selectVersion(versions[0].id);
+    }
+  };
+
+  return (
+    <div className="popover-overlay" onClick={onClose}>
+      <div className="popover-content prompt-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3>📝 Extraction Prompts</h3>
+
+        <section className="prompt-editor popover-form">
+          <div className="prompt-row">
+            <div className="form-group">
+              <label htmlFor="prompt-version">Version</label>
+              <select id="prompt-version" value={selected.id} onChange={(e) => selectVersion(e.target.value)}>
+                {versions.map((version) => (
+                  <option key={version.id} value={version.id}>
+                    {getVersionLabel(version.id)}{version.id === activeVersionId ? ' (active)' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="prompt-name">Name</label>
+              <input
+                id="prompt-name"
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="prompt-text">Prompt</label>
+            <textarea
+              id="prompt-text"
+              value={draft.text}
+              onChange={(e) => setDraft({ ...draft, text: e.target.value })}
+              rows={12}
+              spellCheck={false}
+            />
+            <p className="prompt-hint">
+              Template instructions and page hints are added after this text. Saving never changes an
+              existing version: it creates the next version of the name.
+            </p>
+          </div>
+
+          <div className="popover-actions">
+            {!selected.builtIn && (
+              <button onClick={handleDelete} className="btn-cancel btn-danger-text" disabled={edited}>
+                Delete
+              </button>
+            )}
+            <button
+              onClick={() => setActiveVersion(selected.id)}
+              className="btn-cancel"
+              disabled={edited || selected.id === activeVersionId}
+            >
+              Use for extractions
+            </button>
+            <button onClick={handleSave} className="btn-save" disabled={!edited}>
+              Save as new version
+            </button>
+          </div>
+        </section>
+
+        <section className="prompt-section">
+          <h4>A/B comparison</h4>
+          {hasForm ? (
+            <PromptComparison />
+          ) : (
+            <p className="prompt-hint">Upload a form to compare two prompt versions on it.</p>
+          )}
+        </section>
+
+        <section className="prompt-section">
+          <h4>Learned corrections</h4>
+          <LearnedCorrections />
+        </section>
+
+        <div className="popover-actions">
+          <button onClick={onClose} className="btn-cancel">
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PromptDialog;
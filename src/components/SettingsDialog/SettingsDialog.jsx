@@ -0,0 +1,281 @@
+import React, { useEffect, useState } from 'react';
+import { useSettingsStore, useUIStore } from '../../stores';
+import './SettingsDialog.scss';
+
+// Form values are strings; empty means "use the .env default"
+const toFormValues = (saved = {}, apiKey = '') => ({
+  model: saved.model ?? '',
+  temperature: saved.temperature ?? '',
+  maxTokens: saved.maxTokens ?? '',
+  apiKey
+});
+
+const toNumber = (value) => (value === '' ? '' : Number(value));
+
+const SettingsDialog = ({ onClose }) => {
+  const providerSettings = useSettingsStore((state) => state.providerSettings);
+  const hasStoredKeys = useSettingsStore((state) => state.hasStoredKeys);
+  const keysUnlocked = useSettingsStore((state) => state.keysUnlocked);
+  const getConfigurableProviders = useSettingsStore((state) => state.getConfigurableProviders);
+  const getUnlockedKeys = useSettingsStore((state) => state.getUnlockedKeys);
+  const unlockKeys = useSettingsStore((state) => state.unlockKeys);
+  const lockKeys = useSettingsStore((state) => state.lockKeys);
+  const forgetKeys = useSettingsStore((state) => state.forgetKeys);
+  const saveSettings = useSettingsStore((state) => state.saveSettings);
+  const cacheSettings = useSettingsStore((state) => state.cacheSettings);
+  const cacheEntries = useSettingsStore((state) => state.cacheEntries);
+  const refreshCacheEntries = useSettingsStore((state) => state.refreshCacheEntries);
+  const setCacheSettings = useSettingsStore((state) => state.setCacheSettings);
+  const clearCache = useSettingsStore((state) => state.clearCache);
+  const showSuccess = useUIStore((state) => state.showSuccess);
+  const showError = useUIStore((state) => state.showError);
+
+  const [providers] = useState(getConfigurableProviders);
+  const [form, setForm] = useState(() => {
+    const keys = getUnlockedKeys();
+    return Object.fromEntries(
+      providers.map((provider) => [provider.key, toFormValues(providerSettings[provider.key], keys[provider.key])])
+    );
+  });
+  const [cacheForm, setCacheForm] = useState(cacheSettings);
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    refreshCacheEntries();
+  }, [refreshCacheEntries]);
+
+  const handleClearCache = async () => {
+    try {
+      await clearCache();
+      showSuccess('Response cache cleared');
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const updateForm = (providerKey, name, value) => {
+    setForm((current) => ({
+      ...current,
+      [providerKey]: { ...current[providerKey], [name]: value }
+    }));
+  };
+
+  const setKeys = (keys) => {
+    setForm((current) => Object.fromEntries(
+      Object.entries(current).map(([key, values]) => [key, { ...values, apiKey: keys[key] || '' }])
+    ));
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    try {
+      setKeys(await unlockKeys(passphrase));
+      setPassphrase('');
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const handleLock = () => {
+    lockKeys();
+    setKeys({});
+  };
+
+  const handleForget = () => {
+    if (window.confirm('Delete all saved API keys from this browser?')) {
+      forgetKeys();
+      setKeys({});
+    }
+  };
+
+  const handleSave = async () => {
+    const maxEntries = Number(cacheForm.maxEntries);
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+      showError('Max cached responses must be a whole number of at least 1');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await setCacheSettings({ enabled: cacheForm.enabled, maxEntries });
+      await saveSettings(Object.fromEntries(
+        Object.entries(form).map(([key, values]) => [key, {
+          model: values.model.trim(),
+          temperature: toNumber(values.temperature),
+          maxTokens: toNumber(values.maxTokens),
+          apiKey: values.apiKey.trim()
+        }])
+      ));
+      showSuccess('Settings saved');
+      onClose();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="popover-overlay" onClick={onClose}>
+      <div className="popover-content settings-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3>⚙️ Provider Settings</h3>
+
+        <section className="key-vault">
+          {keysUnlocked ? (
+            <div className="key-vault-status">
+              <span>🔓 API keys unlocked</span>
+              <div className="key-vault-actions">
+                <button onClick={handleLock} className="btn-cancel">Lock</button>
+                {hasStoredKeys && (
+                  <button onClick={handleForget} className="btn-cancel btn-danger-text">Forget keys</button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <form className="key-vault-unlock" onSubmit={handleUnlock}>
+              <label htmlFor="settings-passphrase">
+                {hasStoredKeys
+                  ? '🔒 Enter your passphrase to unlock saved API keys'
+                  : '🔒 Choose a passphrase to encrypt API keys stored in this browser'}
+              </label>
+              <div className="key-vault-row">
+                <input
+                  id="settings-passphrase"
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  placeholder="Passphrase"
+                  autoComplete="current-password"
+                />
+                <button type="submit" disabled={!passphrase || unlocking}>
+                  {unlocking ? 'Unlocking...' : hasStoredKeys ? 'Unlock' : 'Set passphrase'}
+                </button>
+              </div>
+            </form>
+          )}
+        </section>
+
+        <div className="popover-form settings-providers">
+          {providers.map((provider) => {
+            const values = form[provider.key];
+            const modelListId = `settings-models-${provider.key}`;
+            return (
+              <fieldset key={provider.key} className="settings-provider">
+                <legend>{provider.icon} {provider.name}</legend>
+
+                <div className="form-group">
+                  <label>API key</label>
+                  {provider.usesProxy ? (
+                    <p className="settings-hint">Held by the proxy server</p>
+                  ) : (
+                    <input
+                      type="password"
+                      value={values.apiKey}
+                      onChange={(e) => updateForm(provider.key, 'apiKey', e.target.value)}
+                      disabled={!keysUnlocked}
+                      placeholder={
+                        !keysUnlocked
+                          ? 'Unlock to edit'
+                          : provider.hasApiKey ? 'Using key from .env' : 'Not set'
+                      }
+                      autoComplete="off"
+                    />
+                  )}
+                </div>
+
+                <div className="form-group">
+                  <label>Model</label>
+                  <input
+                    type="text"
+                    list={modelListId}
+                    value={values.model}
+                    onChange={(e) => updateForm(provider.key, 'model', e.target.value)}
+                    placeholder={provider.defaults.model || 'Auto'}
+                  />
+                  <datalist id={modelListId}>
+                    {provider.knownModels.map((model) => (
+                      <option key={model} value={model} />
+                    ))}
+                  </datalist>
+                </div>
+
+                <div className="settings-row">
+                  <div className="form-group">
+                    <label>Temperature</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="2"
+                      step="0.1"
+                      value={values.temperature}
+                      onChange={(e) => updateForm(provider.key, 'temperature', e.target.value)}
+                      placeholder={String(provider.defaults.temperature)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Max tokens</label>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={values.maxTokens}
+                      onChange={(e) => updateForm(provider.key, 'maxTokens', e.target.value)}
+                      placeholder={String(provider.defaults.maxTokens)}
+                    />
+                  </div>
+                </div>
+              </fieldset>
+            );
+          })}
+
+          <fieldset className="settings-provider settings-cache">
+            <legend>🗄️ Response cache</legend>
+            <p className="settings-hint">
+              Identical requests (same page image, provider, model and prompt) reuse the saved answer instead of calling the API again.
+              {cacheEntries !== null && ` ${cacheEntries} responses cached.`}
+            </p>
+            <label className="settings-checkbox">
+              <input
+                type="checkbox"
+                checked={cacheForm.enabled}
+                onChange={(e) => setCacheForm({ ...cacheForm, enabled: e.target.checked })}
+              />
+              Use cached responses
+            </label>
+            <div className="settings-row">
+              <div className="form-group">
+                <label>Max cached responses</label>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={cacheForm.maxEntries}
+                  onChange={(e) => setCacheForm({ ...cacheForm, maxEntries: e.target.value })}
+                />
+              </div>
+              <button onClick={handleClearCache} className="btn-cancel" disabled={!cacheEntries}>
+                Clear cache
+              </button>
+            </div>
+          </fieldset>
+        </div>
+
+        <div className="popover-actions">
+          <button onClick={onClose} className="btn-cancel">
+            Cancel
+          </button>
+          <button onClick={handleSave} className="btn-save" disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsDialog;
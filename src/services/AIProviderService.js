@@ -1,41 +1,288 @@
 import OpenAIService from './AIProviders/OpenAIService';
 import GeminiService from './AIProviders/GeminiService';
 import ClaudeService from './AIProviders/ClaudeService';
+import LocalService from './AIProviders/LocalService';
+import MockService from './AIProviders/MockService';
+import OCRService from './AIProviders/OCRService';
+import EnsembleService from './EnsembleService';
+import PricingService from './PricingService';
+import PromptService from './PromptService';
+import CacheService from './CacheService';
+import TemplateService from './TemplateService';
+import ClassificationService from './ClassificationService';
+
+const ENSEMBLE_KEY = 'ensemble';
+const MOCK_KEY = 'mock';
+const OCR_KEY = 'ocr';
+const USAGE_STORAGE_KEY = 'provider-usage';
+
+/**
+ * Today's date (YYYY-MM-DD) for daily request counts
+ * @returns {string} Date string
+ */
+const getToday = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Wait for a number of milliseconds, rejecting with an AbortError when aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new DOMException('Extraction cancelled', 'AbortError'));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Extraction cancelled', 'AbortError'));
+  }, { once: true });
+});
+
+/**
+ * Default capabilities for providers that don't declare them
+ */
+const DEFAULT_CAPABILITIES = {
+  vision: true,         // Accepts page images
+  pdfInput: false,      // Accepts PDF files directly
+  jsonMode: false,      // Supports a native JSON output mode
+  maxImageSize: null,   // Max image size in bytes (null = no limit)
+  costPerCall: 0,       // Estimated cost per extraction in USD
+  streaming: false,     // Reports fields through options.onFields while the model answers
+  maxConcurrency: 2,    // Max requests in flight at once
+  requestsPerMinute: null // Client-side rate limit (null = unlimited)
+};
 
 /**
  * AIProviderService - Manages multiple AI providers and routes requests
- * Acts as a facade for OpenAI, Gemini, and Claude services
+ * Acts as a facade over a registry of provider services. Built-in providers
+ * (OpenAI, Gemini, Claude, local models) are registered the same way as
+ * external ones via registerProvider()
  */
 class AIProviderService {
   constructor() {
-    this.providers = {
-      'gpt-4o': {
-        name: 'GPT-4o',
-        service: OpenAIService,
-        description: 'OpenAI GPT-4 with Vision',
-        icon: '🤖',
-        cost: 'Paid ($0.01-0.03/image)',
-        isConfigured: () => OpenAIService.isConfigured()
-      },
-      'gemini': {
-        name: 'Gemini 2.5',
-        service: GeminiService,
-        description: 'Google Gemini Pro Vision',
-        icon: '✨',
-        cost: 'Free (60 req/min)',
-        isConfigured: () => GeminiService.isConfigured()
+    this.providers = {};
+    this.listeners = new Set();
+    this.activeRequests = {};   // Provider key -> requests in flight
+    this.slotQueues = {};       // Provider key -> callbacks waiting for a free slot
+    this.rateBuckets = {};      // Provider key -> token bucket { tokens, updatedAt, queue }
+    this.usageListeners = new Set();
+    this.dailyUsage = this.loadDailyUsage();
+
+    this.registerProvider('gpt-4o', {
+      name: 'GPT-4o',
+      service: OpenAIService,
+      description: 'OpenAI GPT-4 with Vision',
+      icon: '🤖',
+      cost: 'Paid ($0.01-0.03/image)',
+      priority: 30,
+      capabilities: { jsonMode: true, streaming: true, maxImageSize: 20 * 1024 * 1024, costPerCall: 0.02, maxConcurrency: 4 }
+    });
+    this.registerProvider('gemini', {
+      name: 'Gemini 2.5',
+      service: GeminiService,
+      description: 'Google Gemini Pro Vision',
+      icon: '✨',
+      cost: 'Free (60 req/min)',
+      priority: 20,
+      capabilities: { pdfInput: true, jsonMode: true, streaming: true, maxImageSize: 20 * 1024 * 1024, costPerCall: 0, maxConcurrency: 4, requestsPerMinute: 60 }
+    });
+    this.registerProvider('claude', {
+      name: 'Claude 3.5',
+      service: ClaudeService,
+      description: 'Anthropic Claude Sonnet',
+      icon: '🧠',
+      cost: 'Paid (~$0.02/image)',
+      priority: 40,
+      capabilities: { pdfInput: true, jsonMode: true, streaming: true, maxImageSize: 5 * 1024 * 1024, costPerCall: 0.02, maxConcurrency: 2 }
+    });
+    this.registerProvider('local', {
+      name: 'Local Model',
+      service: LocalService,
+      description: 'Self-hosted vision model (Ollama / OpenAI-compatible)',
+      icon: '🏠',
+      cost: 'Free (runs on your network)',
+      priority: 10,
+      capabilities: { jsonMode: true, costPerCall: 0, maxConcurrency: 1 }
+    });
+
+    // Reads pages in the browser without an API key; the default when no AI provider is configured
+    if (OCRService.enabled) {
+      this.registerProvider(OCR_KEY, {
+        name: 'Local OCR',
+        service: OCRService,
+        description: 'In-browser OCR (tesseract.js) with layout-based field pairing',
+        icon: '🔤',
+        cost: 'Free (runs in your browser)',
+        priority: 950,
+        capabilities: { costPerCall: 0, maxConcurrency: 1 }
+      });
+    }
+
+    // Replays recorded fixtures for offline development; only offered when enabled in .env
+    if (MockService.enabled) {
+      this.registerProvider(MOCK_KEY, {
+        name: 'Mock (fixtures)',
+        service: MockService,
+        description: 'Replays recorded responses without network',
+        icon: '🧪',
+        cost: 'Free (offline)',
+        priority: 900,
+        capabilities: { jsonMode: true, streaming: true, costPerCall: 0, maxConcurrency: 4 }
+      });
+    }
+
+    // Providers the ensemble runs (e.g. "gemini,claude,gpt-4o"); empty = every configured provider
+    this.ensembleProviders = (import.meta.env.VITE_ENSEMBLE_PROVIDERS || '')
+      .split(',')
+      .map((key) => key.trim())
+      .filter(Boolean);
+
+    // Runs several providers and merges their answers; only picked when selected explicitly
+    this.registerProvider(ENSEMBLE_KEY, {
+      name: 'Ensemble',
+      service: {
+        extractFormFields: (imageFile, options) => this.extractWithEnsemble(imageFile, options),
+        isConfigured: () => this.getEnsembleProviders().length >= 2
       },
-      'claude': {
-        name: 'Claude 3.5',
-        service: ClaudeService,
-        description: 'Anthropic Claude Sonnet',
-        icon: '🧠',
-        cost: 'Paid (~$0.02/image)',
-        isConfigured: () => ClaudeService.isConfigured()
+      description: 'Consensus of several providers with per-field agreement',
+      icon: '🧩',
+      cost: 'Sum of member providers',
+      priority: 1000,
+      // Pages in flight at once; member providers also enforce their own limits
+      capabilities: { maxConcurrency: 4 }
+    });
+
+    this.currentProvider = this.getDefaultProvider();
+
+    // Providers to try, in order, when the current provider fails (e.g. "gemini,claude,gpt-4o")
+    this.fallbackOrder = (import.meta.env.VITE_PROVIDER_FALLBACK_ORDER || '')
+      .split(',')
+      .map((key) => key.trim())
+      .filter(Boolean);
+
+    // Provider for the page classification pass; defaults to the current provider
+    this.classifierProvider = import.meta.env.VITE_CLASSIFIER_PROVIDER || null;
+
+    this.loadProxyProviders();
+  }
+
+  /**
+   * Ask the proxy server which providers it holds keys for
+   * Proxied providers count as configured until the server answers
+   * @returns {Promise<void>}
+   */
+  async loadProxyProviders() {
+    const services = Object.values(this.providers)
+      .map((provider) => provider.service)
+      .filter((service) => service.usesProxy?.());
+    if (services.length === 0) {
+      return;
+    }
+
+    try {
+      const response = await fetch(services[0].proxyURL);
+      if (!response.ok) {
+        throw new Error(`Proxy server returned ${response.status}`);
       }
+      const { providers } = await response.json();
+      services.forEach((service) => {
+        service.proxyConfigured = providers.includes(service.proxyProvider);
+      });
+      this.notifyListeners();
+    } catch (error) {
+      console.error('Could not load providers from the proxy server:', error);
+    }
+  }
+
+  /**
+   * Register an AI provider
+   * Registered providers appear in the provider dropdown, default provider
+   * selection and history entries without any further wiring
+   * @param {string} key - Unique provider key
+   * @param {object} descriptor - Provider descriptor
+   * @param {string} descriptor.name - Display name
+   * @param {object} descriptor.service - Service with extractFormFields(file) and isConfigured()
+   * @param {string} [descriptor.description] - Short description
+   * @param {string} [descriptor.icon] - Emoji icon
+   * @param {string} [descriptor.cost] - Human readable pricing
+   * @param {number} [descriptor.priority] - Default provider priority (lower wins)
+   * @param {Function} [descriptor.isConfigured] - Overrides service.isConfigured()
+   * @param {object} [descriptor.capabilities] - vision, pdfInput, jsonMode, maxImageSize, costPerCall,
+   *   maxConcurrency, requestsPerMinute
+   */
+  registerProvider(key, descriptor) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Provider key must be a non-empty string');
+    }
+    if (!descriptor?.name) {
+      throw new Error(`Provider ${key} must have a name`);
+    }
+    if (typeof descriptor.service?.extractFormFields !== 'function') {
+      throw new Error(`Provider ${key} must have a service with an extractFormFields method`);
+    }
+
+    const { service } = descriptor;
+
+    this.providers[key] = {
+      name: descriptor.name,
+      service,
+      description: descriptor.description || '',
+      icon: descriptor.icon || '🔌',
+      cost: descriptor.cost || 'Unknown',
+      priority: descriptor.priority ?? 100,
+      capabilities: { ...DEFAULT_CAPABILITIES, ...descriptor.capabilities },
+      isConfigured: descriptor.isConfigured || (() => (service.isConfigured ? service.isConfigured() : true))
     };
 
-    this.currentProvider = this.getDefaultProvider();
+    this.notifyListeners();
+  }
+
+  /**
+   * Remove a registered provider
+   * Falls back to the default provider if the removed one was selected
+   * @param {string} key - Provider key
+   */
+  unregisterProvider(key) {
+    if (!this.providers[key]) {
+      return;
+    }
+
+    delete this.providers[key];
+    if (this.currentProvider === key) {
+      this.currentProvider = this.getDefaultProvider();
+    }
+
+    this.notifyListeners();
+  }
+
+  /**
+   * Subscribe to provider registry changes
+   * @param {Function} listener - Called with the updated provider list
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers that the registry changed
+   * @private
+   */
+  notifyListeners() {
+    const providers = this.getAvailableProviders();
+    this.listeners.forEach((listener) => listener(providers));
+  }
+
+  /**
+   * Get provider keys sorted by priority
+   * @returns {Array<string>} Provider keys
+   */
+  getPriorityOrder() {
+    return Object.keys(this.providers)
+      .sort((a, b) => this.providers[a].priority - this.providers[b].priority);
   }
 
   /**
@@ -43,8 +290,8 @@ class AIProviderService {
    * @returns {string} Provider key
    */
   getDefaultProvider() {
-    // Try providers in order: Gemini (free), GPT-4o, Claude
-    const priorityOrder = ['gemini', 'gpt-4o', 'claude'];
+    // Try providers in priority order: Local (private), Gemini (free), GPT-4o, Claude, then registered ones and OCR
+    const priorityOrder = this.getPriorityOrder();
     
     for (const provider of priorityOrder) {
       if (this.providers[provider].isConfigured()) {
@@ -52,13 +299,13 @@ class AIProviderService {
       }
     }
     
-    // Default to GPT-4o even if not configured (will show error later)
-    return 'gpt-4o';
+    // Default to the highest priority provider even if not configured (will show error later)
+    return priorityOrder[0] || null;
   }
 
   /**
    * Set the current AI provider
-   * @param {string} providerKey - Provider key (gpt-4o, gemini, claude)
+   * @param {string} providerKey - Registered provider key (gpt-4o, gemini, claude, local, ...)
    */
   setProvider(providerKey) {
     if (!this.providers[providerKey]) {
@@ -80,14 +327,70 @@ class AIProviderService {
    * @returns {Array} List of provider info
    */
   getAvailableProviders() {
-    return Object.entries(this.providers).map(([key, info]) => ({
-      key,
-      name: info.name,
-      description: info.description,
-      icon: info.icon,
-      cost: info.cost,
-      configured: info.isConfigured()
-    }));
+    return Object.keys(this.providers).map((key) => this.getProviderInfo(key));
+  }
+
+  /**
+   * Get the models a provider can serve
+   * Only providers that discover models at runtime (e.g. local servers) return a list
+   * @param {string} providerKey - Provider key
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async getProviderModels(providerKey) {
+    const provider = this.providers[providerKey];
+    if (!provider || !provider.service.listModels || !provider.isConfigured()) {
+      return [];
+    }
+    return provider.service.listModels();
+  }
+
+  /**
+   * Set the model used by a provider that discovers models at runtime
+   * @param {string} providerKey - Provider key
+   * @param {string} model - Model name
+   */
+  setProviderModel(providerKey, model) {
+    const provider = this.providers[providerKey];
+    if (!provider || !provider.service.setModel) {
+      throw new Error(`Provider ${providerKey} does not support model selection`);
+    }
+    provider.service.setModel(model);
+  }
+
+  /**
+   * Get the providers whose API key, model and limits can be changed in the app
+   * @returns {Array<string>} Provider keys
+   */
+  getConfigurableProviders() {
+    return this.getPriorityOrder().filter((key) => key !== MOCK_KEY && this.providers[key].service.configure);
+  }
+
+  /**
+   * Get a provider's current settings
+   * @param {string} providerKey - Provider key
+   * @returns {object|null} { model, temperature, maxTokens, hasApiKey, knownModels, defaults, usesProxy }
+   */
+  getProviderSettings(providerKey) {
+    const service = this.providers[providerKey]?.service;
+    if (!service?.getSettings) {
+      return null;
+    }
+    return { ...service.getSettings(), usesProxy: !!service.usesProxy?.() };
+  }
+
+  /**
+   * Change a provider's settings at runtime
+   * Listeners are notified since a new API key changes isConfigured()
+   * @param {string} providerKey - Provider key
+   * @param {object} settings - Any of { apiKey, model, temperature, maxTokens }
+   */
+  configureProvider(providerKey, settings) {
+    const service = this.providers[providerKey]?.service;
+    if (!service?.configure) {
+      throw new Error(`Provider ${providerKey} does not support settings`);
+    }
+    service.configure(settings);
+    this.notifyListeners();
   }
 
   /**
@@ -107,29 +410,508 @@ class AIProviderService {
   }
 
   /**
-   * Extract form fields using current provider
+   * Set the fallback order used when the current provider fails
+   * @param {Array<string>} providerKeys - Provider keys in the order they should be tried
+   */
+  setFallbackOrder(providerKeys) {
+    const unknown = providerKeys.filter((key) => !this.providers[key]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown provider: ${unknown.join(', ')}`);
+    }
+    this.fallbackOrder = [...providerKeys];
+  }
+
+  /**
+   * Get the fallback order
+   * @returns {Array<string>} Provider keys
+   */
+  getFallbackOrder() {
+    return [...this.fallbackOrder];
+  }
+
+  /**
+   * Get the providers to try for an extraction: the current provider first,
+   * then every configured provider from the fallback order
+   * @param {string} [preferredProvider] - Configured provider to try first instead;
+   *   the current provider becomes the first fallback
+   * @returns {Array<string>} Provider keys
+   */
+  getProviderChain(preferredProvider = null) {
+    const first = preferredProvider && this.providers[preferredProvider]?.isConfigured()
+      ? preferredProvider
+      : this.currentProvider;
+    const fallbacks = [this.currentProvider, ...this.fallbackOrder].filter((key, index, keys) =>
+      key !== first && keys.indexOf(key) === index && this.providers[key]?.isConfigured()
+    );
+    return [first, ...fallbacks];
+  }
+
+  /**
+   * Set the providers the ensemble runs
+   * @param {Array<string>} providerKeys - Provider keys (empty = every configured provider)
+   */
+  setEnsembleProviders(providerKeys) {
+    const unknown = providerKeys.filter((key) => !this.providers[key] || key === ENSEMBLE_KEY);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown provider: ${unknown.join(', ')}`);
+    }
+    this.ensembleProviders = [...providerKeys];
+  }
+
+  /**
+   * Get the configured providers the ensemble runs
+   * @returns {Array<string>} Provider keys
+   */
+  getEnsembleProviders() {
+    // OCR and fixture replay only join when listed explicitly
+    const keys = this.ensembleProviders.length > 0
+      ? this.ensembleProviders
+      : Object.keys(this.providers).filter((key) => key !== MOCK_KEY && key !== OCR_KEY);
+
+    return keys.filter((key) => key !== ENSEMBLE_KEY && this.providers[key]?.isConfigured());
+  }
+
+  /**
+   * Run the same image through every ensemble provider and merge the results
    * @param {File} imageFile - The form image file
-   * @returns {Promise<object>} Extracted form data
+   * @param {object} [options] - Request options ({ signal, forceFresh, template, classification, promptVersion, examples })
+   * @returns {Promise<object>} Merged form data with per-field agreement and candidates
+   * @private
    */
-  async extractFormFields(imageFile) {
-    const service = this.getCurrentService();
-    
-    if (!this.isCurrentProviderConfigured()) {
-      const providerInfo = this.providers[this.currentProvider];
+  async extractWithEnsemble(imageFile, options = {}) {
+    const providerKeys = this.getEnsembleProviders();
+    const settled = await Promise.allSettled(
+      // Members don't stream: only the merged result is meaningful
+      providerKeys.map((key) => this.extractWithProvider(key, imageFile, {
+        signal: options.signal,
+        forceFresh: options.forceFresh,
+        template: options.template,
+        classification: options.classification,
+        promptVersion: options.promptVersion,
+        examples: options.examples
+      }))
+    );
+
+    if (options.signal?.aborted) {
+      throw new DOMException('Extraction cancelled', 'AbortError');
+    }
+
+    const results = [];
+    const failures = [];
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        results.push({ provider: providerKeys[index], ...outcome.value });
+      } else {
+        failures.push(`${this.providers[providerKeys[index]].name}: ${outcome.reason.message}`);
+      }
+    });
+
+    if (results.length < 2) {
       throw new Error(
-        `${providerInfo.name} is not configured. Please add the API key to your .env file. ` +
+        `Ensemble needs at least two providers to succeed` +
+        (failures.length ? ` (${failures.join('; ')})` : '')
+      );
+    }
+
+    const usage = PricingService.sumUsage(results.map((result) => result.usage));
+    return {
+      ...EnsembleService.mergeResults(results),
+      usage: { ...usage, provider: ENSEMBLE_KEY, estimated: results.some((result) => result.usage.estimated) }
+    };
+  }
+
+  /**
+   * Get how many requests a provider may have in flight
+   * @param {string} providerKey - Provider key
+   * @returns {number} Concurrency limit
+   */
+  getConcurrency(providerKey) {
+    const override = parseInt(import.meta.env[`VITE_${providerKey.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_MAX_CONCURRENCY`], 10);
+    return override > 0 ? override : this.providers[providerKey]?.capabilities.maxConcurrency || 1;
+  }
+
+  /**
+   * Wait for a free request slot for a provider
+   * @param {string} providerKey - Provider key
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<void>}
+   * @private
+   */
+  acquireSlot(providerKey, signal) {
+    const active = this.activeRequests[providerKey] || 0;
+    if (active < this.getConcurrency(providerKey)) {
+      this.activeRequests[providerKey] = active + 1;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const queue = this.slotQueues[providerKey] || (this.slotQueues[providerKey] = []);
+      const grant = () => {
+        signal?.removeEventListener('abort', onAbort);
+        this.activeRequests[providerKey] = (this.activeRequests[providerKey] || 0) + 1;
+        resolve();
+      };
+      const onAbort = () => {
+        // Not queued yet when the signal was already aborted
+        const index = queue.indexOf(grant);
+        if (index >= 0) {
+          queue.splice(index, 1);
+        }
+        reject(new DOMException('Extraction cancelled', 'AbortError'));
+      };
+
+      if (signal?.aborted) {
+        onAbort();
+        return;
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+      queue.push(grant);
+    });
+  }
+
+  /**
+   * Free a request slot and hand it to the next waiting request
+   * @param {string} providerKey - Provider key
+   * @private
+   */
+  releaseSlot(providerKey) {
+    this.activeRequests[providerKey] = Math.max((this.activeRequests[providerKey] || 1) - 1, 0);
+    const next = this.slotQueues[providerKey]?.shift();
+    if (next) {
+      next();
+    }
+  }
+
+  /**
+   * Get a provider's client-side rate limit
+   * @param {string} providerKey - Provider key
+   * @returns {number|null} Requests per minute (null = unlimited)
+   */
+  getRequestsPerMinute(providerKey) {
+    const override = parseInt(import.meta.env[`VITE_${providerKey.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_REQUESTS_PER_MINUTE`], 10);
+    return override > 0 ? override : this.providers[providerKey]?.capabilities.requestsPerMinute || null;
+  }
+
+  /**
+   * Wait until the provider's token bucket allows another request
+   * Requests queue in order instead of failing when the bucket is empty.
+   * The bucket refills at requestsPerMinute / 60 per second and holds up to
+   * ten seconds' worth of requests, so bursts stay well under the limit
+   * @param {string} providerKey - Provider key
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<void>}
+   * @private
+   */
+  waitForRateLimit(providerKey, signal) {
+    const requestsPerMinute = this.getRequestsPerMinute(providerKey);
+    if (!requestsPerMinute) {
+      return Promise.resolve();
+    }
+
+    const capacity = Math.max(1, Math.ceil(requestsPerMinute / 6));
+    const refillPerMs = requestsPerMinute / 60000;
+    const bucket = this.rateBuckets[providerKey] ||
+      (this.rateBuckets[providerKey] = { tokens: capacity, updatedAt: Date.now(), queue: Promise.resolve() });
+
+    const takeToken = async () => {
+      for (;;) {
+        const now = Date.now();
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+
+        if (bucket.tokens >= 1) {
+          bucket.tokens -= 1;
+          return;
+        }
+        await sleep((1 - bucket.tokens) / refillPerMs, signal);
+      }
+    };
+
+    const turn = bucket.queue.then(takeToken);
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Load today's request counts from local storage
+   * @returns {object} { date, counts } where counts maps provider key -> requests
+   * @private
+   */
+  loadDailyUsage() {
+    const today = getToday();
+    try {
+      const stored = JSON.parse(localStorage.getItem(USAGE_STORAGE_KEY));
+      if (stored?.date === today) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Could not read provider usage:', error);
+    }
+    return { date: today, counts: {} };
+  }
+
+  /**
+   * Count a request against today's usage
+   * @param {string} providerKey - Provider key
+   * @private
+   */
+  recordRequest(providerKey) {
+    const today = getToday();
+    if (this.dailyUsage.date !== today) {
+      this.dailyUsage = { date: today, counts: {} };
+    }
+
+    this.dailyUsage.counts[providerKey] = (this.dailyUsage.counts[providerKey] || 0) + 1;
+    try {
+      localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(this.dailyUsage));
+    } catch (error) {
+      console.warn('Could not save provider usage:', error);
+    }
+
+    const counts = this.getDailyRequestCounts();
+    this.usageListeners.forEach((listener) => listener(counts));
+  }
+
+  /**
+   * Get today's request count per provider
+   * @returns {object} Provider key -> requests sent today
+   */
+  getDailyRequestCounts() {
+    const today = getToday();
+    return this.dailyUsage.date === today ? { ...this.dailyUsage.counts } : {};
+  }
+
+  /**
+   * Subscribe to request count changes
+   * @param {Function} listener - Called with today's counts per provider
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToUsage(listener) {
+    this.usageListeners.add(listener);
+    return () => this.usageListeners.delete(listener);
+  }
+
+  /**
+   * Attach an estimated cost to a provider's token usage
+   * Uses the model price table when the provider reports tokens, and the
+   * provider's costPerCall capability otherwise
+   * @param {string} providerKey - Provider key
+   * @param {object} [usage] - { model, inputTokens, outputTokens, cost? }
+   * @returns {object} Usage { provider, model, inputTokens, outputTokens, cost, estimated }
+   * @private
+   */
+  priceUsage(providerKey, usage) {
+    // Already priced, e.g. the ensemble's summed member usage
+    if (typeof usage?.cost === 'number') {
+      return usage;
+    }
+
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+    const tokenCost = usage ? PricingService.estimateCost(usage.model, { inputTokens, outputTokens }) : null;
+
+    return {
+      provider: providerKey,
+      model: usage?.model || null,
+      inputTokens,
+      outputTokens,
+      cost: tokenCost ?? this.providers[providerKey].capabilities.costPerCall ?? 0,
+      // Cost comes from the flat per-call estimate rather than token prices
+      estimated: tokenCost === null
+    };
+  }
+
+  /**
+   * Build the response cache key for a request
+   * Covers everything that shapes the answer: image, provider, model, prompt, schema and temperature
+   * @param {string} providerKey - Provider key
+   * @param {File} imageFile - The form image file
+   * @param {object} task - Task from PromptService ({ prompt, schema })
+   * @returns {Promise<string|null>} Cache key, or null if the request isn't cacheable
+   * @private
+   */
+  async getCacheKey(providerKey, imageFile, task) {
+    // Ensemble members are cached individually; fixtures are already local
+    if (providerKey === ENSEMBLE_KEY || providerKey === MOCK_KEY || !CacheService.isEnabled()) {
+      return null;
+    }
+
+    const { service } = this.providers[providerKey];
+    const prompt = JSON.stringify({
+      prompt: task.prompt,
+      schema: task.schema,
+      temperature: service.temperature
+    });
+    return CacheService.createKey(imageFile, providerKey, service.model, prompt);
+  }
+
+  /**
+   * Send one request to a provider
+   * Checks the provider can take the image, answers identical earlier requests from
+   * the response cache unless options.forceFresh is set, and otherwise waits for the
+   * rate limit and a free slot before calling request()
+   * @param {string} providerKey - Provider key
+   * @param {File} imageFile - The image file
+   * @param {object} task - Task from PromptService, used for the cache key
+   * @param {object} options - Request options ({ signal, forceFresh })
+   * @param {Function} request - Calls the provider service; resolves to the answer with usage
+   * @returns {Promise<object>} { data, usage, cached } with the raw answer and priced token usage
+   * @private
+   */
+  async callProvider(providerKey, imageFile, task, options, request) {
+    const provider = this.providers[providerKey];
+
+    if (!provider.isConfigured()) {
+      // Through the proxy the key lives on the server; otherwise it can be entered in Settings
+      const fix = provider.service.transport === 'proxy'
+        ? 'Add its API key to the environment of the proxy server.'
+        : 'Add its API key in ⚙️ Settings.';
+      throw new Error(
+        `${provider.name} is not configured. ${fix} ` +
         `Alternatively, try another provider from the dropdown.`
       );
     }
 
+    const { maxImageSize } = provider.capabilities;
+    if (maxImageSize && imageFile.size > maxImageSize) {
+      throw new Error(
+        `Image is too large for ${provider.name} ` +
+        `(max ${Math.round(maxImageSize / (1024 * 1024))}MB).`
+      );
+    }
+
+    // Reuse an identical earlier response instead of paying for it again
+    const cacheKey = await this.getCacheKey(providerKey, imageFile, task).catch(() => null);
+    if (cacheKey && !options.forceFresh) {
+      const cached = await CacheService.get(cacheKey).catch(() => null);
+      if (cached) {
+        return {
+          data: cached.data,
+          usage: { ...cached.usage, inputTokens: 0, outputTokens: 0, cost: 0, cached: true },
+          cached: true
+        };
+      }
+    }
+
+    await this.waitForRateLimit(providerKey, options.signal);
+    await this.acquireSlot(providerKey, options.signal);
+    if (providerKey !== ENSEMBLE_KEY) {
+      this.recordRequest(providerKey);
+    }
     try {
-      return await service.extractFormFields(imageFile);
+      const { usage, ...data } = await request();
+      const result = { data, usage: this.priceUsage(providerKey, usage) };
+      if (cacheKey) {
+        CacheService.set(cacheKey, result).catch((error) => console.warn('Could not cache response:', error));
+      }
+      return { ...result, cached: false };
     } catch (error) {
-      console.error(`${this.currentProvider} extraction failed:`, error);
+      if (error.name !== 'AbortError') {
+        console.error(`${providerKey} ${task.label} failed:`, error);
+      }
       throw error;
+    } finally {
+      this.releaseSlot(providerKey);
     }
   }
 
+  /**
+   * Extract form fields with a single provider
+   * @param {string} providerKey - Provider key
+   * @param {File} imageFile - The form image file
+   * @param {object} [options] - Request options ({ signal, onFields, forceFresh, template, classification, promptVersion, examples })
+   * @returns {Promise<object>} { data, usage, cached } with the raw AI response and priced token usage
+   * @private
+   */
+  async extractWithProvider(providerKey, imageFile, options = {}) {
+    const task = PromptService.getExtractionTask(options);
+    return this.callProvider(providerKey, imageFile, task, options,
+      () => this.providers[providerKey].service.extractFormFields(imageFile, options));
+  }
+
+  /**
+   * Get the provider that classifies pages: VITE_CLASSIFIER_PROVIDER, then the
+   * current provider (or the ensemble's first member), if it can classify
+   * @returns {string|null} Provider key, or null if no configured provider can classify
+   */
+  getClassifierProvider() {
+    const candidates = [
+      this.classifierProvider,
+      this.currentProvider,
+      ...(this.currentProvider === ENSEMBLE_KEY ? this.getEnsembleProviders() : [])
+    ];
+    return candidates.find((key) =>
+      this.providers[key]?.isConfigured() && typeof this.providers[key].service.classifyPage === 'function'
+    ) || null;
+  }
+
+  /**
+   * Classify a page before extraction: page type, document type, language and handwriting
+   * @param {File} imageFile - The page image file
+   * @param {object} [options] - Request options ({ signal, forceFresh })
+   * @returns {Promise<object|null>} { data, usage, cached, provider } with the normalized
+   *   classification, or null if no provider can classify
+   */
+  async classifyPage(imageFile, options = {}) {
+    const providerKey = this.getClassifierProvider();
+    if (!providerKey) {
+      return null;
+    }
+
+    const templates = TemplateService.getTemplates();
+    const task = PromptService.getClassificationTask(templates);
+    const { data, usage, cached } = await this.callProvider(providerKey, imageFile, task, options,
+      () => this.providers[providerKey].service.classifyPage(imageFile, { signal: options.signal, templates }));
+    return { data: ClassificationService.normalize(data), usage, cached, provider: providerKey };
+  }
+
+  /**
+   * Extract form fields using current provider, walking the fallback order on failure
+   * @param {File} imageFile - The form image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the extraction, including pending fallbacks
+   * @param {Function} [options.onFields] - Called with the raw fields parsed so far by streaming
+   *   providers; each call replaces the previous one, and a fallback attempt starts over
+   * @param {boolean} [options.forceFresh] - Skip the response cache (the new answer is still cached)
+   * @param {object} [options.template] - Document template from TemplateService added to the prompt
+   * @param {object} [options.classification] - Page classification, added to the prompt as hints
+   * @param {string} [options.provider] - Provider to try before the current one (e.g. for handwriting)
+   * @returns {Promise<object>} Result with data (raw AI response), usage (tokens and
+   *   estimated cost), cached (answered from the response cache), provider (key of the
+   *   provider that produced it) and failures
+   *   ({ provider, error } for each failed attempt)
+   */
+  async extractFormFields(imageFile, options = {}) {
+    const failures = [];
+
+    for (const providerKey of this.getProviderChain(options.provider)) {
+      try {
+        const { data, usage, cached } = await this.extractWithProvider(providerKey, imageFile, options);
+        if (MockService.recording && providerKey !== MOCK_KEY) {
+          MockService.record(imageFile, providerKey, { data, usage })
+            .catch((error) => console.warn('Could not record fixture:', error));
+        }
+        return { data, usage, cached, provider: providerKey, failures };
+      } catch (error) {
+        // A cancelled run must not fall through to the next provider
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        failures.push({ provider: providerKey, error: error.message });
+        // Fields streamed by the failed provider are no longer valid
+        options.onFields?.([]);
+      }
+    }
+
+    if (failures.length === 1) {
+      throw new Error(failures[0].error);
+    }
+
+    throw new Error(
+      'All providers failed: ' +
+      failures.map(({ provider, error }) => `${this.providers[provider].name}: ${error}`).join('; ')
+    );
+  }
 
   /**
    * Get provider info by key
@@ -146,6 +928,7 @@ class AIProviderService {
       description: provider.description,
       icon: provider.icon,
       cost: provider.cost,
+      capabilities: provider.capabilities,
       configured: provider.isConfigured()
     };
   }
@@ -0,0 +1,133 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import AIProviderService from './AIProviderService';
+
+const register = (key, capabilities) => {
+  AIProviderService.registerProvider(key, {
+    name: key,
+    service: { extractFormFields: async () => ({}) },
+    capabilities
+  });
+};
+
+// Settles pending promise callbacks without moving the clock
+const flush = () => vi.advanceTimersByTimeAsync(0);
+
+const track = (promise) => {
+  const state = { settled: false, error: null };
+  promise.then(() => { state.settled = true; }, (error) => { state.settled = true; state.error = error; });
+  return state;
+};
+
+describe('AIProviderService rate limiting', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('refills the token bucket at the per-minute rate', async () => {
+    // 6 requests per minute: a bucket of one request, refilled every 10 seconds
+    register('limited', { requestsPerMinute: 6 });
+
+    const first = track(AIProviderService.waitForRateLimit('limited'));
+    const second = track(AIProviderService.waitForRateLimit('limited'));
+    await flush();
+    expect(first.settled).toBe(true);
+    expect(second.settled).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(9000);
+    expect(second.settled).toBe(false);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(second.settled).toBe(true);
+    expect(second.error).toBeNull();
+  });
+
+  it('lets the next request through when a waiting one is cancelled', async () => {
+    register('limited-abort', { requestsPerMinute: 6 });
+    const controller = new AbortController();
+
+    await AIProviderService.waitForRateLimit('limited-abort');
+    const cancelled = track(AIProviderService.waitForRateLimit('limited-abort', controller.signal));
+    const next = track(AIProviderService.waitForRateLimit('limited-abort'));
+    await flush();
+
+    controller.abort();
+    await flush();
+    expect(cancelled.error?.name).toBe('AbortError');
+    expect(next.settled).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(next.settled).toBe(true);
+  });
+});
+
+describe('AIProviderService concurrency slots', () => {
+  it('hands a released slot to the next waiting request', async () => {
+    register('single', { maxConcurrency: 1 });
+
+    await AIProviderService.acquireSlot('single');
+    const waiting = track(AIProviderService.acquireSlot('single'));
+    await Promise.resolve();
+    expect(waiting.settled).toBe(false);
+
+    AIProviderService.releaseSlot('single');
+    await Promise.resolve();
+    expect(waiting.settled).toBe(true);
+    expect(AIProviderService.activeRequests.single).toBe(1);
+    AIProviderService.releaseSlot('single');
+  });
+
+  it('drops a cancelled request from the queue', async () => {
+    register('single-abort', { maxConcurrency: 1 });
+    const controller = new AbortController();
+
+    await AIProviderService.acquireSlot('single-abort');
+    const cancelled = track(AIProviderService.acquireSlot('single-abort', controller.signal));
+    const next = track(AIProviderService.acquireSlot('single-abort'));
+
+    controller.abort();
+    await Promise.resolve();
+    expect(cancelled.error?.name).toBe('AbortError');
+
+    AIProviderService.releaseSlot('single-abort');
+    await Promise.resolve();
+    expect(next.settled).toBe(true);
+    AIProviderService.releaseSlot('single-abort');
+    expect(AIProviderService.activeRequests['single-abort']).toBe(0);
+  });
+
+  it('does not take another request\'s place when already cancelled', async () => {
+    register('single-aborted', { maxConcurrency: 1 });
+
+    await AIProviderService.acquireSlot('single-aborted');
+    const waiting = track(AIProviderService.acquireSlot('single-aborted'));
+    const cancelled = track(AIProviderService.acquireSlot('single-aborted', AbortSignal.abort()));
+    await Promise.resolve();
+    expect(cancelled.error?.name).toBe('AbortError');
+
+    AIProviderService.releaseSlot('single-aborted');
+    await Promise.resolve();
+    expect(waiting.settled).toBe(true);
+    AIProviderService.releaseSlot('single-aborted');
+  });
+
+  it('releases the slot when a request is cancelled while running', async () => {
+    register('running-abort', { maxConcurrency: 1 });
+    const controller = new AbortController();
+    const request = () => new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(new DOMException('Cancelled', 'AbortError')));
+    });
+
+    const running = AIProviderService.callProvider(
+      'running-abort', new File(['page'], 'page.png'), { label: 'test' }, { signal: controller.signal }, request
+    );
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(AIProviderService.activeRequests['running-abort']).toBe(1);
+
+    controller.abort();
+    await expect(running).rejects.toThrow('Cancelled');
+    expect(AIProviderService.activeRequests['running-abort']).toBe(0);
+  });
+});
@@ -1,5 +1,6 @@
 import BaseService from '../BaseService';
 import PromptService from '../PromptService';
+import ResponseParsingService from '../ResponseParsingService';
 
 /**
  * ClaudeService - Handles Anthropic Claude API integration for form field extraction
@@ -13,16 +14,50 @@ class ClaudeService extends BaseService {
     this.apiKey = this.getEnvVar('VITE_CLAUDE_API_KEY');
     this.model = this.getEnvVar('VITE_CLAUDE_MODEL') || 'claude-3-5-sonnet-20241022'; // Latest Claude 3.5 Sonnet with vision
     this.maxTokens = parseInt(this.getEnvVar('VITE_CLAUDE_MAX_TOKENS') || '4096', 10);
+    this.proxyProvider = 'claude';
+    this.knownModels = ['claude-3-5-sonnet-20241022', 'claude-sonnet-4-20250514', 'claude-opus-4-20250514', 'claude-3-5-haiku-20241022'];
   }
 
   /**
    * Extract form fields from an image using Claude
+   * Uses a forced tool call for structured output, falling back to free-text JSON
    * @param {File} imageFile - The form image file
-   * @returns {Promise<object>} Extracted form data
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onFields] - Called with the fields parsed so far while streaming
+   * @param {object} [options.template] - Document template whose instructions are added to the prompt
+   * @param {object} [options.classification] - Page classification used as extraction hints
+   * @param {string} [options.promptVersion] - Prompt version ID (the active version by default)
+   * @param {Array<object>} [options.examples] - Reviewer corrections added as few-shot examples
+   * @returns {Promise<object>} Extracted form data with token usage
    */
-  async extractFormFields(imageFile) {
-    if (!this.apiKey) {
-      throw new Error('Claude API key not configured. Please set VITE_CLAUDE_API_KEY in your .env file');
+  async extractFormFields(imageFile, { signal, onFields, template, classification, promptVersion, examples } = {}) {
+    return this.runTask(imageFile, PromptService.getExtractionTask({ template, classification, promptVersion, examples }), { signal, onFields });
+  }
+
+  /**
+   * Classify a page (page type, document type, language, handwriting)
+   * @param {File} imageFile - The page image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Array<object>} [options.templates] - Document templates the page may be
+   * @returns {Promise<object>} Classification with token usage
+   */
+  async classifyPage(imageFile, { signal, templates } = {}) {
+    return this.runTask(imageFile, PromptService.getClassificationTask(templates), { signal });
+  }
+
+  /**
+   * Run a task from PromptService on an image
+   * @param {File} imageFile - The image file
+   * @param {object} task - Task with prompt and schema
+   * @param {object} options - { signal, onFields }
+   * @returns {Promise<object>} Parsed answer with token usage
+   * @private
+   */
+  async runTask(imageFile, task, { signal, onFields }) {
+    if (!this.isConfigured()) {
+      throw new Error('Claude API key not configured. Please add it in Settings (or set CLAUDE_API_KEY on the proxy server)');
     }
 
     try {
@@ -34,71 +69,191 @@ class ClaudeService extends BaseService {
       let mediaType = imageFile.type || 'image/jpeg';
       // Claude expects format like "image/jpeg", "image/png", "image/webp", "image/gif"
       
-      // Prepare the request
-      const response = await fetch(`${this.baseURL}/messages`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: this.model,
-          max_tokens: this.maxTokens,
-          temperature: 0.2,
-          messages: [
-            {
-              role: 'user',
-              content: [
-                {
-                  type: 'image',
-                  source: {
-                    type: 'base64',
-                    media_type: mediaType,
-                    data: base64Data
-                  }
-                },
-                {
-                  type: 'text',
-                  text: PromptService.getFieldsExtractionPrompt()
-                }
-              ]
+      const userMessage = {
+        role: 'user',
+        content: [
+          {
+            type: 'image',
+            source: {
+              type: 'base64',
+              media_type: mediaType,
+              data: base64Data
             }
-          ]
-        })
-      });
+          },
+          {
+            type: 'text',
+            text: task.prompt
+          }
+        ]
+      };
+
+      const { data, usage } = await this.withStructuredOutput((structured) => (structured
+        ? this.requestWithTool(userMessage, task, { signal, onFields })
+        : this.requestText(userMessage, task, { signal, onFields })
+      ));
+      
+      return { ...data, usage };
+    } catch (error) {
+      console.error(`Claude ${task.label} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a streaming request to the Messages API
+   * @param {object} body - Request body without model and sampling settings
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @param {number} [maxTokens] - Output token limit (defaults to this.maxTokens)
+   * @returns {Promise<Response>} Response
+   * @private
+   */
+  async postMessages(body, signal, maxTokens = this.maxTokens) {
+    return this.postToProvider('messages', {
+      signal,
+      body: {
+        model: this.model,
+        max_tokens: maxTokens,
+        temperature: this.temperature,
+        stream: true,
+        ...body
+      }
+    });
+  }
+
+  /**
+   * Read a Messages API event stream
+   * @param {Response} response - Streaming response
+   * @param {Function} onDelta - Called with each text or tool input JSON delta
+   * @returns {Promise<object>} { text, toolInput, stopReason, usage }
+   * @private
+   */
+  async readMessageStream(response, onDelta) {
+    const message = { text: '', toolInput: '', stopReason: null, usage: {} };
+
+    await this.readEventStream(response, (event) => {
+      switch (event.type) {
+        case 'message_start':
+          message.usage = { ...event.message?.usage };
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            message.text += event.delta.text;
+            onDelta(event.delta.text);
+          } else if (event.delta?.type === 'input_json_delta') {
+            message.toolInput += event.delta.partial_json;
+            onDelta(event.delta.partial_json);
+          }
+          break;
+        case 'message_delta':
+          message.stopReason = event.delta?.stop_reason ?? message.stopReason;
+          message.usage = { ...message.usage, ...event.usage };
+          break;
+        case 'error':
+          throw new Error(event.error?.message || 'Claude API stream failed');
+        default:
+          break;
+      }
+    });
+
+    return message;
+  }
+
+  /**
+   * Request the answer as the input of a forced tool call, which Claude
+   * validates against the task schema
+   * @param {object} userMessage - Message with the image and prompt
+   * @param {object} task - Task with prompt and schema
+   * @param {object} options - { signal, onFields }
+   * @returns {Promise<object>} { data, usage }
+   * @private
+   */
+  async requestWithTool(userMessage, task, { signal, onFields }) {
+    const toolName = `record_${task.name}`;
+    const response = await this.postMessages({
+      messages: [userMessage],
+      tools: [
+        {
+          name: toolName,
+          description: task.description,
+          input_schema: task.schema
+        }
+      ],
+      tool_choice: { type: 'tool', name: toolName }
+    }, signal, task.maxTokens);
+
+    if (!response.ok) {
+      const error = await response.json();
+      const message = error.error?.message || 'Claude API request failed';
+      throw response.status === 400
+        ? this.createStructuredOutputError(message)
+        : new Error(message);
+    }
+
+    const message = await this.readMessageStream(response, this.createFieldStream(onFields));
+    // A truncated tool call can't be continued, so let the free-text mode handle dense forms
+    if (message.stopReason === 'max_tokens') {
+      throw this.createStructuredOutputError('Tool call truncated at max_tokens');
+    }
+
+    let input;
+    try {
+      input = JSON.parse(message.toolInput);
+    } catch {
+      throw this.createStructuredOutputError('No tool call in Claude response');
+    }
+
+    return {
+      data: input,
+      usage: this.createUsage(message.usage.input_tokens, message.usage.output_tokens)
+    };
+  }
+
+  /**
+   * Request the answer as free-text JSON, continuing it if it hits max_tokens
+   * @param {object} userMessage - Message with the image and prompt
+   * @param {object} task - Task with prompt and schema
+   * @param {object} options - { signal, onFields }
+   * @returns {Promise<object>} { data, usage }
+   * @private
+   */
+  async requestText(userMessage, task, { signal, onFields }) {
+    const fieldStream = this.createFieldStream(onFields);
+
+    // Dense forms can exceed max_tokens; prefill the partial answer so Claude continues it
+    const { content, usage } = await this.generateWithContinuation(async (partial) => {
+      const messages = [userMessage];
+      if (partial) {
+        // Assistant prefill must not end with whitespace
+        messages.push({ role: 'assistant', content: partial.trimEnd() });
+      }
+
+      const response = await this.postMessages({ messages }, signal, task.maxTokens);
 
       if (!response.ok) {
         const error = await response.json();
         throw new Error(error.error?.message || 'Claude API request failed');
       }
 
-      const data = await response.json();
-      const content = data.content?.[0]?.text;
-      
-      if (!content) {
-        throw new Error('No response from Claude API');
-      }
-      
-      // Parse JSON from the response
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-      
-      throw new Error('Could not parse form data from AI response');
-    } catch (error) {
-      console.error('Claude form extraction failed:', error);
-      throw error;
-    }
+      const message = await this.readMessageStream(response, fieldStream);
+      return {
+        text: message.text,
+        truncated: message.stopReason === 'max_tokens',
+        usage: this.createUsage(message.usage.input_tokens, message.usage.output_tokens)
+      };
+    });
+
+    return { data: ResponseParsingService.parseJson(content, 'Claude'), usage };
   }
 
 
   /**
-   * Check if API key is configured
+   * Authentication headers for direct requests
    */
-  isConfigured() {
-    return !!this.apiKey;
+  getAuthHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    };
   }
 }
 
@@ -1,5 +1,6 @@
 import BaseService from '../BaseService';
 import PromptService from '../PromptService';
+import ResponseParsingService from '../ResponseParsingService';
 
 /**
  * GeminiService - Handles Google Gemini API integration for form field extraction
@@ -13,56 +14,74 @@ class GeminiService extends BaseService {
     super('https://generativelanguage.googleapis.com/v1beta');
     this.apiKey = this.getEnvVar('VITE_GEMINI_API_KEY');
     this.model = this.getEnvVar('VITE_GEMINI_MODEL') || 'gemini-2.5-flash'; // Use flash for speed, can switch to 'gemini-1.5-pro' for better accuracy
-    this.maxOutputTokens = parseInt(this.getEnvVar('VITE_GEMINI_MAX_OUTPUT_TOKENS') || '8192', 10);
+    this.maxTokens = parseInt(this.getEnvVar('VITE_GEMINI_MAX_OUTPUT_TOKENS') || '8192', 10);
+    this.maxOutputTokensLimit = 65536; // Upper bound when raising the budget after MAX_TOKENS
+    this.proxyProvider = 'gemini';
+    this.knownModels = ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-1.5-pro', 'gemini-1.5-flash'];
   }
 
   /**
-   * Parse JSON from AI response text
-   * Handles markdown code blocks, escaped quotes, and malformed JSON
-   * @param {string} content - The AI response text
-   * @returns {object} Parsed JSON object
+   * Convert a JSON schema to Gemini's OpenAPI subset
+   * Gemini's responseSchema rejects additionalProperties
+   * @param {object} schema - JSON schema
+   * @returns {object} Gemini response schema
    * @private
    */
-  parseJsonFromResponse(content) {
-    // Try to parse JSON from the response
-    // First, try to find JSON within markdown code blocks
-    let jsonStr = content;
-    
-    // Remove markdown code blocks if present
-    const codeBlockMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (codeBlockMatch) {
-      jsonStr = codeBlockMatch[1].trim();
+  toResponseSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map((item) => this.toResponseSchema(item));
     }
-    
-    // Extract JSON object
-    const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      throw new Error('Could not find JSON in AI response');
-    }
-    
-    // Clean up escaped quotes and other escape sequences
-    let cleanedJson = jsonMatch[0]
-      .replace(/\\"/g, '"')  // Replace \" with "
-      .replace(/\\'/g, "'")  // Replace \' with '
-      .replace(/\\\\/g, '\\'); // Replace \\ with \
-    
-    try {
-      return JSON.parse(cleanedJson);
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      console.error('Failed to parse:', cleanedJson);
-      throw new Error('Could not parse JSON from AI response');
+    if (!schema || typeof schema !== 'object') {
+      return schema;
     }
+
+    return Object.fromEntries(
+      Object.entries(schema)
+        .filter(([key]) => key !== 'additionalProperties')
+        .map(([key, value]) => [key, this.toResponseSchema(value)])
+    );
   }
 
   /**
    * Extract form fields from an image using Gemini
+   * Uses responseSchema structured output, falling back to free-text JSON
    * @param {File} imageFile - The form image file
-   * @returns {Promise<object>} Extracted form data
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onFields] - Called with the fields parsed so far while streaming
+   * @param {object} [options.template] - Document template whose instructions are added to the prompt
+   * @param {object} [options.classification] - Page classification used as extraction hints
+   * @param {string} [options.promptVersion] - Prompt version ID (the active version by default)
+   * @param {Array<object>} [options.examples] - Reviewer corrections added as few-shot examples
+   * @returns {Promise<object>} Extracted form data with token usage
+   */
+  async extractFormFields(imageFile, { signal, onFields, template, classification, promptVersion, examples } = {}) {
+    return this.runTask(imageFile, PromptService.getExtractionTask({ template, classification, promptVersion, examples }), { signal, onFields });
+  }
+
+  /**
+   * Classify a page (page type, document type, language, handwriting)
+   * @param {File} imageFile - The page image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Array<object>} [options.templates] - Document templates the page may be
+   * @returns {Promise<object>} Classification with token usage
+   */
+  async classifyPage(imageFile, { signal, templates } = {}) {
+    return this.runTask(imageFile, PromptService.getClassificationTask(templates), { signal });
+  }
+
+  /**
+   * Run a task from PromptService on an image
+   * @param {File} imageFile - The image file
+   * @param {object} task - Task with prompt and schema
+   * @param {object} options - { signal, onFields }
+   * @returns {Promise<object>} Parsed answer with token usage
+   * @private
    */
-  async extractFormFields(imageFile) {
-    if (!this.apiKey) {
-      throw new Error('Gemini API key not configured. Please set VITE_GEMINI_API_KEY in your .env file');
+  async runTask(imageFile, task, { signal, onFields }) {
+    if (!this.isConfigured()) {
+      throw new Error('Gemini API key not configured. Please add it in Settings (or set GEMINI_API_KEY on the proxy server)');
     }
 
     try {
@@ -73,35 +92,74 @@ class GeminiService extends BaseService {
       // Get MIME type
       const mimeType = imageFile.type || 'image/jpeg';
       
-      // Prepare the request
-      const response = await fetch(
-        `${this.baseURL}/models/${this.model}:generateContent?key=${this.apiKey}`,
+      const { content, usage } = await this.withStructuredOutput(
+        (structured) => this.requestTask(base64Data, mimeType, task, structured, { signal, onFields })
+      );
+      
+      return { ...ResponseParsingService.parseJson(content, 'Gemini'), usage };
+    } catch (error) {
+      console.error(`Gemini ${task.label} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream the answer, continuing it if it hits MAX_TOKENS
+   * @param {string} base64Data - Image as raw base64
+   * @param {string} mimeType - Image MIME type
+   * @param {object} task - Task with prompt and schema
+   * @param {boolean} structured - Constrain the first answer to the task schema
+   * @param {object} options - { signal, onFields }
+   * @returns {Promise<object>} { content, usage }
+   * @private
+   */
+  async requestTask(base64Data, mimeType, task, structured, { signal, onFields }) {
+    const fieldStream = this.createFieldStream(onFields);
+
+    // Dense forms can hit MAX_TOKENS; continue from the partial answer, or raise the
+    // budget when it was spent entirely on thinking tokens
+    let maxOutputTokens = task.maxTokens || this.maxTokens;
+    return this.generateWithContinuation(async (partial) => {
+      const contents = [
         {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            contents: [
-              {
-                parts: [
-                  {
-                    text: PromptService.getFieldsExtractionPrompt()
-                  },
-                  {
-                    inline_data: {
-                      mime_type: mimeType,
-                      data: base64Data
-                    }
-                  }
-                ]
+          role: 'user',
+          parts: [
+            {
+              text: task.prompt
+            },
+            {
+              inline_data: {
+                mime_type: mimeType,
+                data: base64Data
               }
-            ],
+            }
+          ]
+        }
+      ];
+      if (partial) {
+        contents.push(
+          { role: 'model', parts: [{ text: partial }] },
+          { role: 'user', parts: [{ text: PromptService.getContinuationPrompt() }] }
+        );
+      }
+
+      // Prepare the request
+      const response = await this.postToProvider(
+        `models/${this.model}:streamGenerateContent?alt=sse`,
+        {
+          signal,
+          body: {
+            contents,
             generationConfig: {
-              temperature: 0.2,
+              temperature: this.temperature,
               topK: 40,
               topP: 0.95,
-              maxOutputTokens: this.maxOutputTokens,
+              maxOutputTokens,
+              // A continuation extends the JSON text, so only the first answer follows the schema
+              ...(structured && !partial && {
+                responseMimeType: 'application/json',
+                responseSchema: this.toResponseSchema(task.schema)
+              })
             },
             safetySettings: [
               {
@@ -121,42 +179,69 @@ class GeminiService extends BaseService {
                 threshold: 'BLOCK_NONE'
               }
             ]
-          })
+          }
         }
       );
 
-      const data = await response.json();
-      console.log('data', data);
-      if(!data.candidates || !data.candidates[0] || !data.candidates[0].content || !data.candidates[0].content.parts) {
+      if (!response.ok) {
+        const data = await response.json();
+        const message = data.error?.message || 'Gemini API request failed';
+        // Models without structured output support reject responseSchema
+        throw structured && !partial && response.status === 400
+          ? this.createStructuredOutputError(message)
+          : new Error(message);
+      }
+
+      let text = '';
+      let finishReason = null;
+      let usageMetadata = null;
+      await this.readEventStream(response, (event) => {
+        const candidate = event.candidates?.[0];
+        const delta = (candidate?.content?.parts || []).map((p) => p.text || '').join('');
+        if (delta) {
+          text += delta;
+          fieldStream(delta);
+        }
+        if (candidate?.finishReason) {
+          finishReason = candidate.finishReason;
+        }
+        // Each event carries the running totals
+        if (event.usageMetadata) {
+          usageMetadata = event.usageMetadata;
+        }
+      });
+
+      // Thinking tokens are billed as output
+      const chunkUsage = this.createUsage(
+        usageMetadata?.promptTokenCount,
+        (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0)
+      );
+      if (finishReason === 'MAX_TOKENS') {
+        if (!text) {
+          maxOutputTokens = Math.min(maxOutputTokens * 2, this.maxOutputTokensLimit);
+        }
+        return { text, truncated: true, usage: chunkUsage };
+      }
+      if(!finishReason) {
         throw new Error('Unexpected response from Gemini API');
       }
-      if(data.candidates[0].finishReason !== 'STOP') {
-        // retry for MAX_TOKENS
-        throw new Error(`Gemini API request finished with ${data.candidates[0].finishReason}`);
+      if(finishReason !== 'STOP') {
+        throw new Error(`Gemini API request finished with ${finishReason}`);
       }
 
-      const content = data.candidates[0].content.parts
-        .map((p) => p.text || "").join("")
-        .replace(/```json/g, "").replace(/```/g, "").replace(/\\"/g, "'").replace(/\\'/g, "'").replace(/\\\\/g, '\\')
-        .trim();
-      
-      if (!content) {
-        throw new Error('Empty response from Gemini API');
-      }
-      
-      return this.parseJsonFromResponse(content);
-    } catch (error) {
-      console.error('Gemini form extraction failed:', error);
-      throw error;
-    }
+      return { text, truncated: false, usage: chunkUsage };
+    });
   }
 
 
   /**
-   * Check if API key is configured
+   * Authentication headers for direct requests
    */
-  isConfigured() {
-    return !!this.apiKey;
+  getAuthHeaders() {
+    return {
+      // Sent as a header so the key stays out of request URLs and logs
+      'x-goog-api-key': this.apiKey
+    };
   }
 }
 
@@ -0,0 +1,263 @@
+import BaseService from '../BaseService';
+import PromptService from '../PromptService';
+import ResponseParsingService from '../ResponseParsingService';
+
+/**
+ * LocalService - Handles self-hosted vision models for form field extraction
+ * Talks to Ollama (/api/chat) or any OpenAI-compatible server (/v1/chat/completions)
+ * so scanned forms never leave the local network
+ *
+ * Ollama: https://ollama.com/ (e.g. `ollama pull llava` or `ollama pull qwen2.5vl`)
+ */
+class LocalService extends BaseService {
+  constructor() {
+    super();
+    this.baseURL = (this.getEnvVar('VITE_LOCAL_BASE_URL') || '').replace(/\/+$/, ''); // e.g. http://localhost:11434
+    this.apiFormat = this.getEnvVar('VITE_LOCAL_API_FORMAT') || 'ollama'; // 'ollama' or 'openai'
+    this.apiKey = this.getEnvVar('VITE_LOCAL_API_KEY'); // Optional, for servers behind auth
+    this.maxTokens = parseInt(this.getEnvVar('VITE_LOCAL_MAX_TOKENS') || '4096', 10);
+    this.model = null;
+    this.models = [];
+  }
+
+  /**
+   * Build request headers for the local server
+   * @returns {object} Headers
+   * @private
+   */
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Fetch the models installed on the local server
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels() {
+    if (!this.isConfigured()) {
+      return [];
+    }
+
+    const url = this.apiFormat === 'openai'
+      ? `${this.baseURL}/v1/models`
+      : `${this.baseURL}/api/tags`;
+
+    const response = await fetch(url, { headers: this.getHeaders() });
+    if (!response.ok) {
+      throw new Error(`Local model server returned ${response.status} while listing models`);
+    }
+
+    const data = await response.json();
+    this.models = this.apiFormat === 'openai'
+      ? (data.data || []).map((model) => model.id)
+      : (data.models || []).map((model) => model.name);
+    this.knownModels = this.models;
+
+    return this.models;
+  }
+
+  /**
+   * Set the model to use for extraction
+   * @param {string} model - Model name as reported by the server
+   */
+  setModel(model) {
+    this.model = model;
+  }
+
+  /**
+   * Resolve the model to use, picking a vision model from the server if none is set
+   * @returns {Promise<string>} Model name
+   * @private
+   */
+  async resolveModel() {
+    if (this.model) {
+      return this.model;
+    }
+
+    const models = this.models.length ? this.models : await this.listModels();
+    if (models.length === 0) {
+      throw new Error('No models found on the local model server. Pull a vision model such as llava first');
+    }
+
+    // Prefer models that advertise vision support by name
+    this.model = models.find((name) => /llava|vision|vl|moondream|minicpm-v|gemma3/i.test(name)) || models[0];
+    return this.model;
+  }
+
+  /**
+   * Extract form fields from an image using a local vision model
+   * Sends the field schema when the server supports it, falling back to free-text JSON
+   * @param {File} imageFile - The form image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {object} [options.template] - Document template whose instructions are added to the prompt
+   * @param {object} [options.classification] - Page classification used as extraction hints
+   * @param {string} [options.promptVersion] - Prompt version ID (the active version by default)
+   * @param {Array<object>} [options.examples] - Reviewer corrections added as few-shot examples
+   * @returns {Promise<object>} Extracted form data with token usage
+   */
+  async extractFormFields(imageFile, { signal, template, classification, promptVersion, examples } = {}) {
+    return this.runTask(imageFile, PromptService.getExtractionTask({ template, classification, promptVersion, examples }), signal);
+  }
+
+  /**
+   * Classify a page (page type, document type, language, handwriting)
+   * @param {File} imageFile - The page image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Array<object>} [options.templates] - Document templates the page may be
+   * @returns {Promise<object>} Classification with token usage
+   */
+  async classifyPage(imageFile, { signal, templates } = {}) {
+    return this.runTask(imageFile, PromptService.getClassificationTask(templates), signal);
+  }
+
+  /**
+   * Run a task from PromptService on an image
+   * @param {File} imageFile - The image file
+   * @param {object} task - Task with prompt and schema
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<object>} Parsed answer with token usage
+   * @private
+   */
+  async runTask(imageFile, task, signal) {
+    if (!this.isConfigured()) {
+      throw new Error('Local model server not configured. Please set VITE_LOCAL_BASE_URL in your .env file');
+    }
+
+    try {
+      const model = await this.resolveModel();
+      const base64Image = await this.fileToBase64(imageFile);
+
+      const { content, usage } = await this.withStructuredOutput((structured) => (this.apiFormat === 'openai'
+        ? this.requestOpenAICompatible(model, base64Image, task, structured, signal)
+        : this.requestOllama(model, base64Image, task, structured, signal)
+      ));
+
+      return { ...ResponseParsingService.parseJson(content, 'local model'), usage };
+    } catch (error) {
+      console.error(`Local ${task.label} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the request to Ollama's native chat API
+   * @param {string} model - Model name
+   * @param {string} base64Image - Image as data URL
+   * @param {object} task - Task with prompt and schema
+   * @param {boolean} structured - Constrain the answer to the task schema
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<object>} { content, usage }
+   * @private
+   */
+  async requestOllama(model, base64Image, task, structured, signal) {
+    const response = await this.fetchWithRetry(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      signal,
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model,
+        stream: false,
+        // Ollama 0.5+ accepts a JSON schema; older versions only support plain JSON mode
+        format: structured ? task.schema : 'json',
+        messages: [
+          {
+            role: 'user',
+            content: task.prompt,
+            images: [base64Image.split(',')[1]] // Ollama expects raw base64 without data URL prefix
+          }
+        ],
+        options: {
+          temperature: this.temperature,
+          num_predict: task.maxTokens || this.maxTokens
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = error.error || 'Local model request failed';
+      throw structured && response.status === 400
+        ? this.createStructuredOutputError(message)
+        : new Error(message);
+    }
+
+    const data = await response.json();
+    return {
+      content: data.message?.content,
+      usage: this.createUsage(data.prompt_eval_count, data.eval_count)
+    };
+  }
+
+  /**
+   * Send the request to an OpenAI-compatible chat completions API
+   * @param {string} model - Model name
+   * @param {string} base64Image - Image as data URL
+   * @param {object} task - Task with prompt and schema
+   * @param {boolean} structured - Constrain the answer to the task schema
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<object>} { content, usage }
+   * @private
+   */
+  async requestOpenAICompatible(model, base64Image, task, structured, signal) {
+    const response = await this.fetchWithRetry(`${this.baseURL}/v1/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers: this.getHeaders(),
+      body: JSON.stringify({
+        model,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: task.prompt
+              },
+              {
+                type: 'image_url',
+                image_url: {
+                  url: base64Image
+                }
+              }
+            ]
+          }
+        ],
+        max_tokens: task.maxTokens || this.maxTokens,
+        temperature: this.temperature,
+        response_format: structured
+          ? { type: 'json_schema', json_schema: { name: task.name, strict: true, schema: task.schema } }
+          : undefined
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const message = error.error?.message || 'Local model request failed';
+      // Not every OpenAI-compatible server supports json_schema
+      throw structured && response.status === 400
+        ? this.createStructuredOutputError(message)
+        : new Error(message);
+    }
+
+    const data = await response.json();
+    return {
+      content: data.choices?.[0]?.message?.content,
+      usage: this.createUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+    };
+  }
+
+  /**
+   * Check if the local server URL is configured
+   */
+  isConfigured() {
+    return !!this.baseURL;
+  }
+}
+
+export default new LocalService();
@@ -0,0 +1,118 @@
+import BaseService from '../BaseService';
+import CacheService from '../CacheService';
+
+/**
+ * MockService - Replays recorded responses so the app runs without API keys or network
+ * Fixtures are JSON files named after the SHA-256 of the page image, served from
+ * public/fixtures/. With VITE_MOCK_RECORD=true the dev server saves every real
+ * provider response as a fixture, so a recorded session replays deterministically.
+ */
+class MockService extends BaseService {
+  constructor() {
+    super();
+    this.model = 'mock';
+    this.fixturesURL = (this.getEnvVar('VITE_MOCK_FIXTURES_URL') || '/fixtures').replace(/\/+$/, '');
+    this.recordURL = this.getEnvVar('VITE_MOCK_RECORD_URL') || '/api/fixtures';
+    this.recording = this.getEnvVar('VITE_MOCK_RECORD') === 'true';
+    this.enabled = this.getEnvVar('VITE_MOCK_PROVIDER') === 'true' || this.recording;
+    this.fieldDelay = parseInt(this.getEnvVar('VITE_MOCK_FIELD_DELAY_MS') || '0', 10); // Simulated streaming pace
+    this.fixtures = new Map(); // Image hash -> fixture added at runtime (takes precedence over files)
+  }
+
+  /**
+   * Add a fixture in memory, e.g. from a test
+   * @param {string} imageHash - SHA-256 of the page image (hex)
+   * @param {object} fixture - { data, usage }
+   */
+  addFixture(imageHash, fixture) {
+    this.fixtures.set(imageHash, fixture);
+  }
+
+  /**
+   * Load the fixture for an image hash
+   * @param {string} imageHash - SHA-256 of the page image (hex)
+   * @param {AbortSignal} [signal] - Cancels the request
+   * @returns {Promise<object>} Fixture { provider, model, data, usage }
+   * @private
+   */
+  async loadFixture(imageHash, signal) {
+    if (this.fixtures.has(imageHash)) {
+      return this.fixtures.get(imageHash);
+    }
+
+    const response = await fetch(`${this.fixturesURL}/${imageHash}.json`, { signal });
+    // Dev servers answer unknown paths with index.html, so check the type too
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+      throw new Error(
+        `No fixture recorded for this image (${imageHash.slice(0, 12)}...). ` +
+        'Record one with VITE_MOCK_RECORD=true and a real provider.'
+      );
+    }
+    return response.json();
+  }
+
+  /**
+   * Replay the recorded response for an image
+   * Fields are reported one by one through onFields, like a streaming provider
+   * @param {File} imageFile - The form image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onFields] - Called with the fields replayed so far
+   * @returns {Promise<object>} Recorded form data with token usage
+   */
+  async extractFormFields(imageFile, { signal, onFields } = {}) {
+    const imageHash = await CacheService.hash(imageFile);
+    const { data, usage } = await this.loadFixture(imageHash, signal);
+
+    if (onFields) {
+      const fields = data.fields || [];
+      for (let count = 1; count <= fields.length; count++) {
+        await this.sleep(this.fieldDelay, signal);
+        onFields(fields.slice(0, count));
+      }
+    }
+
+    return {
+      ...data,
+      usage: this.createUsage(usage?.inputTokens, usage?.outputTokens)
+    };
+  }
+
+  /**
+   * Save a real provider response as the fixture for an image
+   * Needs the dev server's fixture recorder (npm run dev)
+   * @param {File} imageFile - The form image file
+   * @param {string} provider - Key of the provider that produced the response
+   * @param {object} result - { data, usage }
+   * @returns {Promise<void>}
+   */
+  async record(imageFile, provider, { data, usage }) {
+    const imageHash = await CacheService.hash(imageFile);
+    const response = await fetch(this.recordURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        imageHash,
+        provider,
+        model: usage?.model,
+        recordedAt: new Date().toISOString(),
+        data,
+        usage: { inputTokens: usage?.inputTokens || 0, outputTokens: usage?.outputTokens || 0 }
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error?.message || `Fixture recorder returned ${response.status}`);
+    }
+  }
+
+  /**
+   * The mock provider is available when enabled; fixtures are checked per request
+   */
+  isConfigured() {
+    return this.enabled;
+  }
+}
+
+export default new MockService();
@@ -0,0 +1,364 @@
+import BaseService from '../BaseService';
+
+// Words the OCR engine is less sure of (0-100) are dropped as noise, e.g. from ruled lines
+const MIN_WORD_CONFIDENCE = 30;
+
+// A horizontal gap wider than this many line heights splits a line into separate columns
+const COLUMN_GAP = 1.5;
+
+// A value under a label starts within this many label heights of the label's bottom
+const VALUE_BELOW_GAP = 1.5;
+
+// Text on the left of a row is only taken as a label (without a colon) up to this many words
+const MAX_LABEL_WORDS = 6;
+
+/**
+ * Smallest box around several boxes
+ * @param {Array<object>} boxes - Normalized boxes
+ * @returns {object} Normalized box
+ */
+function unionBox(boxes) {
+  const left = Math.min(...boxes.map((box) => box.x));
+  const top = Math.min(...boxes.map((box) => box.y));
+  const right = Math.max(...boxes.map((box) => box.x + box.width));
+  const bottom = Math.max(...boxes.map((box) => box.y + box.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Build a run of words: a label, a value or a column of a line
+ * @param {Array<object>} words - Words { text, confidence, box } in reading order
+ * @returns {object} { words, text, box, confidence }
+ */
+function createRun(words) {
+  return {
+    words,
+    text: words.map((word) => word.text).join(' '),
+    box: unionBox(words.map((word) => word.box)),
+    confidence: Math.min(...words.map((word) => word.confidence))
+  };
+}
+
+/**
+ * OCRService - Reads forms with an in-browser OCR engine, without an API key
+ * Runs tesseract.js (WebAssembly) in a web worker with the worker script, engine and
+ * language data bundled by the app (see the tesseractAssets plugin in vite.config.js),
+ * so nothing is fetched from a CDN. The recognized words are
+ * paired into fields from their layout: "Label:" followed by text on the same line,
+ * or a label with its value to the right or underneath.
+ *
+ * Boxes are the real word boxes and confidences are the OCR engine's, so fields
+ * can be highlighted and reviewed like those of any other provider.
+ */
+class OCRService extends BaseService {
+  constructor() {
+    super();
+    this.enabled = this.getEnvVar('VITE_OCR_PROVIDER') !== 'false';
+    this.languages = this.getEnvVar('VITE_OCR_LANGUAGES') || 'eng'; // e.g. "eng+deu"
+    this.langPath = (this.getEnvVar('VITE_OCR_LANG_PATH') || '/tessdata').replace(/\/+$/, '');
+    this.enginePath = (this.getEnvVar('VITE_OCR_ENGINE_PATH') || '/tesseract').replace(/\/+$/, '');
+    this.model = `tesseract-${this.languages}`;
+    this.workerPromise = null;
+  }
+
+  /**
+   * OCR runs in the browser, so it only needs to be enabled
+   * @returns {boolean} True if enabled
+   */
+  isConfigured() {
+    return this.enabled;
+  }
+
+  /**
+   * Start the OCR worker on first use
+   * The engine is only downloaded when a page is first read
+   * @returns {Promise<object>} tesseract.js worker
+   * @private
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = import('tesseract.js')
+        .then(({ createWorker }) => createWorker(this.languages, undefined, {
+          langPath: this.langPath,
+          workerPath: `${this.enginePath}/worker.min.js`,
+          corePath: this.enginePath // The worker picks the core build the browser supports
+        }))
+        .catch((error) => {
+          this.workerPromise = null;
+          throw new Error(`Could not start the OCR engine: ${error.message}`);
+        });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Stop the OCR worker; the next page starts a new one
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    const workerPromise = this.workerPromise;
+    this.workerPromise = null;
+    const worker = await workerPromise?.catch(() => null);
+    await worker?.terminate();
+  }
+
+  /**
+   * Recognize the text of an image
+   * Recognition can't be interrupted, so cancelling stops the worker
+   * @param {File} imageFile - Image file
+   * @param {AbortSignal} [signal] - Cancels the recognition
+   * @returns {Promise<object>} tesseract.js result data
+   * @private
+   */
+  recognize(imageFile, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(this.createAbortError());
+    }
+
+    const recognition = this.getWorker().then((worker) => worker.recognize(imageFile));
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.terminate();
+        reject(this.createAbortError());
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      recognition
+        .then(({ data }) => resolve(data), reject)
+        .finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Get the pixel size of an image
+   * @param {File} imageFile - Image file
+   * @returns {Promise<object>} { width, height }
+   * @private
+   */
+  async getImageSize(imageFile) {
+    const bitmap = await createImageBitmap(imageFile);
+    const { width, height } = bitmap;
+    bitmap.close();
+    return { width, height };
+  }
+
+  /**
+   * Read the fields of a form image
+   * @param {File} imageFile - The form image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the recognition
+   * @returns {Promise<object>} { formTitle, fields } with word boxes and OCR confidences
+   */
+  async extractFormFields(imageFile, { signal } = {}) {
+    const [size, data] = await Promise.all([this.getImageSize(imageFile), this.recognize(imageFile, signal)]);
+    const runs = this.getColumns(data.lines || [], size);
+    return {
+      ...this.pairFields(runs),
+      usage: this.createUsage(0, 0)
+    };
+  }
+
+  /**
+   * Turn recognized lines into runs of words, split where a line crosses a column gap
+   * @param {Array<object>} lines - tesseract.js lines with words and pixel boxes
+   * @param {object} size - Image { width, height }
+   * @returns {Array<object>} Runs from createRun(), top to bottom
+   * @private
+   */
+  getColumns(lines, { width, height }) {
+    const runs = [];
+
+    lines.forEach((line) => {
+      const words = line.words
+        .filter((word) => word.confidence >= MIN_WORD_CONFIDENCE && /[\p{L}\p{N}]/u.test(word.text))
+        .map((word) => ({
+          text: word.text.trim(),
+          confidence: word.confidence / 100,
+          box: {
+            x: word.bbox.x0 / width,
+            y: word.bbox.y0 / height,
+            width: (word.bbox.x1 - word.bbox.x0) / width,
+            height: (word.bbox.y1 - word.bbox.y0) / height
+          }
+        }));
+      if (words.length === 0) {
+        return;
+      }
+
+      // Gaps are compared in pixels, since normalized widths and heights use different scales
+      const lineHeight = Math.max(...words.map((word) => word.box.height)) * height;
+      let column = [words[0]];
+      for (let i = 1; i < words.length; i++) {
+        const gap = (words[i].box.x - (words[i - 1].box.x + words[i - 1].box.width)) * width;
+        if (gap > lineHeight * COLUMN_GAP) {
+          runs.push(createRun(column));
+          column = [];
+        }
+        column.push(words[i]);
+      }
+      runs.push(createRun(column));
+    });
+
+    return runs.sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x);
+  }
+
+  /**
+   * Split a run at labels ending in a colon
+   * "Name: Jane Doe Date: 01/02/2024" gives two pairs; a colon word after a value
+   * starts the next label on its own, since the value's extent is unknown
+   * @param {object} run - Run of words
+   * @returns {Array<object>} Pairs { label, value } of word lists; empty if the run has no colon
+   * @private
+   */
+  splitLabelled(run) {
+    const pairs = [];
+    let words = [];
+
+    run.words.forEach((word) => {
+      if (!word.text.endsWith(':')) {
+        words.push(word);
+        return;
+      }
+      if (pairs.length === 0) {
+        pairs.push({ label: [...words, word], value: [] });
+      } else {
+        pairs[pairs.length - 1].value = words;
+        pairs.push({ label: [word], value: [] });
+      }
+      words = [];
+    });
+
+    if (pairs.length > 0) {
+      pairs[pairs.length - 1].value = words;
+    }
+    return pairs;
+  }
+
+  /**
+   * Find the nearest run to the right of a label on the same row
+   * @param {object} label - Label run
+   * @param {Array<object>} candidates - Runs not used yet
+   * @returns {object|null} Value run
+   * @private
+   */
+  findValueRight(label, candidates) {
+    const centerY = label.box.y + label.box.height / 2;
+    return candidates
+      .filter((run) => run.box.x >= label.box.x + label.box.width
+        && centerY >= run.box.y && centerY <= run.box.y + run.box.height)
+      .sort((a, b) => a.box.x - b.box.x)[0] || null;
+  }
+
+  /**
+   * Find the nearest run underneath a label that overlaps it horizontally
+   * @param {object} label - Label run
+   * @param {Array<object>} candidates - Runs not used yet
+   * @returns {object|null} Value run
+   * @private
+   */
+  findValueBelow(label, candidates) {
+    const bottom = label.box.y + label.box.height;
+    return candidates
+      .filter((run) => run.box.y >= bottom - label.box.height / 2
+        && run.box.y < bottom + label.box.height * VALUE_BELOW_GAP
+        && run.box.x < label.box.x + label.box.width
+        && run.box.x + run.box.width > label.box.x)
+      .sort((a, b) => a.box.y - b.box.y)[0] || null;
+  }
+
+  /**
+   * Pair labels with values from their layout, in this order:
+   * 1. "Label: value" within a run
+   * 2. "Label:" with the value to its right
+   * 3. A short run with another run to its right on the same row
+   * 4. "Label:" with the value underneath
+   * Rows are paired before looking underneath, so the label of the next row isn't
+   * taken as the value of an empty field. The tallest leftover text in the top
+   * quarter of the page is taken as the form title.
+   * @param {Array<object>} runs - Runs from getColumns()
+   * @returns {object} { formTitle, fields } in the AI response format
+   * @private
+   */
+  pairFields(runs) {
+    const used = new Set();
+    const pairs = []; // { label, value } runs; value is null for an empty field
+
+    runs.forEach((run) => {
+      const runPairs = this.splitLabelled(run);
+      if (runPairs.length > 0) {
+        used.add(run);
+        runPairs.forEach(({ label, value }) => pairs.push({
+          label: createRun(label),
+          value: value.length > 0 ? createRun(value) : null
+        }));
+      }
+    });
+
+    const available = () => runs.filter((run) => !used.has(run));
+    const fillEmpty = (findValue) => pairs.filter((pair) => !pair.value).forEach((pair) => {
+      pair.value = findValue(pair.label, available());
+      if (pair.value) {
+        used.add(pair.value);
+      }
+    });
+
+    fillEmpty((label, candidates) => this.findValueRight(label, candidates));
+
+    runs.forEach((run) => {
+      if (used.has(run) || run.words.length > MAX_LABEL_WORDS) {
+        return;
+      }
+      const value = this.findValueRight(run, available());
+      if (value) {
+        pairs.push({ label: run, value });
+        used.add(run);
+        used.add(value);
+      }
+    });
+
+    fillEmpty((label, candidates) => this.findValueBelow(label, candidates));
+
+    const title = available()
+      .filter((run) => run.box.y < 0.25 && /\p{L}{2}/u.test(run.text))
+      .sort((a, b) => b.box.height - a.box.height)[0];
+
+    const fields = pairs
+      .sort((a, b) => a.label.box.y - b.label.box.y || a.label.box.x - b.label.box.x)
+      .map(({ label, value }) => {
+        const text = value ? value.text : '';
+        return {
+          label: label.text.replace(/\s*:$/, ''),
+          value: text,
+          type: this.inferType(text),
+          confidence: value ? value.confidence : label.confidence,
+          boundingBox: unionBox(value ? [label.box, value.box] : [label.box])
+        };
+      })
+      .filter((field) => field.label);
+
+    return { formTitle: title?.text || '', fields };
+  }
+
+  /**
+   * Guess a field type from its value
+   * @param {string} value - Recognized value
+   * @returns {string} Field type
+   * @private
+   */
+  inferType(value) {
+    if (/^\S+@\S+\.\S+$/.test(value)) {
+      return 'email';
+    }
+    if (/^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/.test(value)) {
+      return 'date';
+    }
+    if (/^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 7 && /[\s().-]/.test(value)) {
+      return 'phone';
+    }
+    if (/^[-+]?[$€£]?\d[\d,]*(\.\d+)?%?$/.test(value)) {
+      return 'number';
+    }
+    return 'text';
+  }
+}
+
+export default new OCRService();
@@ -1,5 +1,6 @@
 import BaseService from '../BaseService';
 import PromptService from '../PromptService';
+import ResponseParsingService from '../ResponseParsingService';
 
 /**
  * OpenAIService - Handles OpenAI API integration for form field extraction
@@ -11,80 +12,176 @@ class OpenAIService extends BaseService {
     this.apiKey = this.getEnvVar('VITE_OPENAI_API_KEY');
     this.model = this.getEnvVar('VITE_OPENAI_MODEL') || 'gpt-4o';
     this.maxTokens = parseInt(this.getEnvVar('VITE_OPENAI_MAX_TOKENS') || '4096', 10);
+    this.proxyProvider = 'openai';
+    this.knownModels = ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1'];
   }
 
   /**
    * Extract form fields from an image using GPT-4o
+   * Uses json_schema structured output, falling back to free-text JSON
    * @param {File} imageFile - The form image file
-   * @returns {Promise<object>} Extracted form data
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onFields] - Called with the fields parsed so far while streaming
+   * @param {object} [options.template] - Document template whose instructions are added to the prompt
+   * @param {object} [options.classification] - Page classification used as extraction hints
+   * @param {string} [options.promptVersion] - Prompt version ID (the active version by default)
+   * @param {Array<object>} [options.examples] - Reviewer corrections added as few-shot examples
+   * @returns {Promise<object>} Extracted form data with token usage
    */
-  async extractFormFields(imageFile) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not configured. Please set VITE_OPENAI_API_KEY in your .env file');
+  async extractFormFields(imageFile, { signal, onFields, template, classification, promptVersion, examples } = {}) {
+    return this.runTask(imageFile, PromptService.getExtractionTask({ template, classification, promptVersion, examples }), { signal, onFields });
+  }
+
+  /**
+   * Classify a page (page type, document type, language, handwriting)
+   * @param {File} imageFile - The page image file
+   * @param {object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Array<object>} [options.templates] - Document templates the page may be
+   * @returns {Promise<object>} Classification with token usage
+   */
+  async classifyPage(imageFile, { signal, templates } = {}) {
+    return this.runTask(imageFile, PromptService.getClassificationTask(templates), { signal });
+  }
+
+  /**
+   * Run a task from PromptService on an image
+   * @param {File} imageFile - The image file
+   * @param {object} task - Task with prompt and schema
+   * @param {object} options - { signal, onFields }
+   * @returns {Promise<object>} Parsed answer with token usage
+   * @private
+   */
+  async runTask(imageFile, task, { signal, onFields }) {
+    if (!this.isConfigured()) {
+      throw new Error('OpenAI API key not configured. Please add it in Settings (or set OPENAI_API_KEY on the proxy server)');
     }
 
     try {
       // Convert image to base64
       const base64Image = await this.fileToBase64(imageFile);
       
-      // Prepare the request
-      const response = await fetch(`${this.baseURL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: this.model,
-          messages: [
+      const { content, usage } = await this.withStructuredOutput(
+        (structured) => this.requestTask(base64Image, task, structured, { signal, onFields })
+      );
+      
+      return { ...ResponseParsingService.parseJson(content, 'OpenAI'), usage };
+    } catch (error) {
+      console.error(`OpenAI ${task.label} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream the answer, continuing it if it hits max_tokens
+   * @param {string} base64Image - Image as data URL
+   * @param {object} task - Task with prompt and schema
+   * @param {boolean} structured - Constrain the first answer to the task schema
+   * @param {object} options - { signal, onFields }
+   * @returns {Promise<object>} { content, usage }
+   * @private
+   */
+  async requestTask(base64Image, task, structured, { signal, onFields }) {
+    const fieldStream = this.createFieldStream(onFields);
+
+    // Dense forms can exceed max_tokens; continue from where the model stopped
+    return this.generateWithContinuation(async (partial) => {
+      const messages = [
+        {
+          role: 'user',
+          content: [
             {
-              role: 'user',
-              content: [
-                {
-                  type: 'text',
-                  text: PromptService.getFieldsExtractionPrompt()
-                },
-                {
-                  type: 'image_url',
-                  image_url: {
-                    url: base64Image
-                  }
-                }
-              ]
+              type: 'text',
+              text: task.prompt
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: base64Image
+              }
             }
-          ],
-          max_tokens: this.maxTokens,
-          temperature: 0.2
-        })
+          ]
+        }
+      ];
+      if (partial) {
+        messages.push(
+          { role: 'assistant', content: partial },
+          { role: 'user', content: PromptService.getContinuationPrompt() }
+        );
+      }
+
+      // A continuation extends the JSON text, so only the first answer follows the schema
+      const responseFormat = structured && !partial
+        ? {
+          type: 'json_schema',
+          json_schema: { name: task.name, strict: true, schema: task.schema }
+        }
+        : undefined;
+
+      // Prepare the request
+      const response = await this.postToProvider('chat/completions', {
+        signal,
+        body: {
+          model: this.model,
+          messages,
+          max_tokens: task.maxTokens || this.maxTokens,
+          temperature: this.temperature,
+          response_format: responseFormat,
+          stream: true,
+          stream_options: { include_usage: true }
+        }
       });
 
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error?.message || 'OpenAI API request failed');
+        const message = error.error?.message || 'OpenAI API request failed';
+        // Models without structured output support reject response_format
+        throw responseFormat && response.status === 400
+          ? this.createStructuredOutputError(message)
+          : new Error(message);
       }
 
-      const data = await response.json();
-      const content = data.choices[0]?.message?.content;
-      
-      // Parse JSON from the response
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
+      let text = '';
+      let refusal = '';
+      let finishReason = null;
+      let usage = null;
+      await this.readEventStream(response, (event) => {
+        const choice = event.choices?.[0];
+        if (choice?.delta?.content) {
+          text += choice.delta.content;
+          fieldStream(choice.delta.content);
+        }
+        if (choice?.delta?.refusal) {
+          refusal += choice.delta.refusal;
+        }
+        if (choice?.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+        // Sent in a final event with no choices
+        if (event.usage) {
+          usage = event.usage;
+        }
+      });
+
+      if (refusal) {
+        throw new Error(`OpenAI refused the request: ${refusal}`);
       }
-      
-      throw new Error('Could not parse form data from AI response');
-    } catch (error) {
-      console.error('OpenAI form extraction failed:', error);
-      throw error;
-    }
+
+      return {
+        text,
+        truncated: finishReason === 'length',
+        usage: this.createUsage(usage?.prompt_tokens, usage?.completion_tokens)
+      };
+    });
   }
 
 
   /**
-   * Check if API key is configured
+   * Authentication headers for direct requests
    */
-  isConfigured() {
-    return !!this.apiKey;
+  getAuthHeaders() {
+    return { 'Authorization': `Bearer ${this.apiKey}` };
   }
 }
 
@@ -1,10 +1,31 @@
+import { FieldStreamParser } from './ResponseParsingService';
+
+/**
+ * HTTP statuses worth retrying: rate limits, server errors and overloads
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
 /**
  * BaseService - Foundation for all service classes
- * Provides common functionality for environment variables and file conversion
+ * Provides common functionality for environment variables, file conversion,
+ * the direct or proxy transport, request retries, streaming, continuation of truncated AI responses,
+ * structured output fallback and token usage
  */
 class BaseService {
   constructor(baseURL = '') {
     this.baseURL = baseURL;
+    this.maxRetries = parseInt(this.getEnvVar('VITE_API_MAX_RETRIES') || '3', 10);
+    this.retryBaseDelay = parseInt(this.getEnvVar('VITE_API_RETRY_BASE_DELAY_MS') || '1000', 10);
+    this.retryMaxDelay = 30000;
+    this.maxContinuations = parseInt(this.getEnvVar('VITE_API_MAX_CONTINUATIONS') || '3', 10);
+    this.structuredOutput = this.getEnvVar('VITE_STRUCTURED_OUTPUT') !== 'false';
+    this.temperature = 0.2;
+    this.knownModels = [];       // Model suggestions for the settings dialog
+    // 'direct' calls provider APIs from the browser; 'proxy' sends them through /api/extract
+    this.transport = this.getEnvVar('VITE_API_TRANSPORT') === 'proxy' ? 'proxy' : 'direct';
+    this.proxyURL = this.getEnvVar('VITE_PROXY_URL') || '/api/extract';
+    this.proxyProvider = null;   // Provider key on the proxy server; set by services that support it
+    this.proxyConfigured = true; // Whether the proxy holds a key for this provider (checked on startup)
   }
 
   /**
@@ -25,7 +46,318 @@ class BaseService {
       reader.onerror = error => reject(error);
     });
   }
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Rejects with an AbortError when aborted
+   * @returns {Promise<void>}
+   */
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Create the error thrown when a request is cancelled
+   * Matches the error fetch() throws for an aborted signal
+   * @returns {DOMException} AbortError
+   */
+  createAbortError() {
+    return new DOMException('Extraction cancelled', 'AbortError');
+  }
+
+  /**
+   * Get the delay before the next retry
+   * Honours Retry-After (seconds or HTTP date), otherwise backs off exponentially with jitter
+   * @param {number} attempt - Zero-based retry attempt
+   * @param {Response} [response] - Failed response, if any
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt, response) {
+    const retryAfter = response?.headers?.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds)
+        ? new Date(retryAfter).getTime() - Date.now()
+        : seconds * 1000;
+      if (delay >= 0) {
+        return Math.min(delay, this.retryMaxDelay);
+      }
+    }
+
+    const backoff = this.retryBaseDelay * 2 ** attempt;
+    const jitter = Math.random() * this.retryBaseDelay;
+    return Math.min(backoff + jitter, this.retryMaxDelay);
+  }
+
+  /**
+   * fetch() that retries on rate limits, server errors and network failures
+   * Non-retryable responses (and the last failed attempt) are returned as-is
+   * so callers can read the provider's error body
+   * @param {string} url - Request URL
+   * @param {object} options - fetch options (options.signal also cancels pending retries)
+   * @returns {Promise<Response>} Response
+   */
+  async fetchWithRetry(url, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await fetch(url, options);
+      } catch (error) {
+        // Network errors (TypeError) are retryable, aborts are not
+        if (error.name === 'AbortError' || attempt >= this.maxRetries) {
+          throw error;
+        }
+        console.warn(`Request failed (${error.message}), retrying...`);
+        await this.sleep(this.getRetryDelay(attempt), options.signal);
+        continue;
+      }
+
+      if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      const delay = this.getRetryDelay(attempt, response);
+      console.warn(`Request returned ${response.status}, retrying in ${Math.round(delay)}ms...`);
+      await this.sleep(delay, options.signal);
+    }
+  }
+
+  /**
+   * Apply settings entered in the app on top of the .env defaults
+   * Takes effect on the next request; empty values restore the default
+   * @param {object} settings - Any of { apiKey, model, temperature, maxTokens }
+   */
+  configure(settings) {
+    // Subclasses set these after super(), so snapshot them on first use
+    if (!this.defaults) {
+      this.defaults = {
+        apiKey: this.apiKey,
+        model: this.model,
+        temperature: this.temperature,
+        maxTokens: this.maxTokens
+      };
+    }
+
+    Object.keys(this.defaults).forEach((name) => {
+      if (name in settings) {
+        const value = settings[name];
+        this[name] = value === '' || value === null || value === undefined ? this.defaults[name] : value;
+      }
+    });
+  }
+
+  /**
+   * Get the settings currently in effect
+   * @returns {object} { model, temperature, maxTokens, hasApiKey, knownModels, defaults }
+   */
+  getSettings() {
+    const defaults = this.defaults || this;
+    return {
+      model: this.model,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      hasApiKey: !!this.apiKey,
+      knownModels: this.knownModels,
+      defaults: { model: defaults.model, temperature: defaults.temperature, maxTokens: defaults.maxTokens }
+    };
+  }
+
+  /**
+   * Whether requests go through the proxy server
+   * @returns {boolean} True in proxy mode for services the proxy supports
+   */
+  usesProxy() {
+    return this.transport === 'proxy' && !!this.proxyProvider;
+  }
+
+  /**
+   * Authentication headers for direct requests
+   * @returns {object} Headers
+   */
+  getAuthHeaders() {
+    return {};
+  }
+
+  /**
+   * POST a JSON request to the provider API, directly or through the proxy server
+   * In proxy mode the server adds the API key, so it never reaches the browser
+   * @param {string} path - API path relative to baseURL (e.g. 'chat/completions')
+   * @param {object} options - Request options
+   * @param {object} options.body - JSON request body
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<Response>} Response
+   */
+  async postToProvider(path, { body, signal }) {
+    if (this.usesProxy()) {
+      return this.fetchWithRetry(this.proxyURL, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ provider: this.proxyProvider, path, body })
+      });
+    }
+
+    return this.fetchWithRetry(`${this.baseURL}/${path}`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
+      body: JSON.stringify(body)
+    });
+  }
+
+  /**
+   * Check if the service can make requests
+   * In proxy mode the key lives on the server instead of in apiKey
+   */
+  isConfigured() {
+    return this.usesProxy() ? this.proxyConfigured : !!this.apiKey;
+  }
+
+  /**
+   * Read a server-sent events response
+   * Calls onEvent with the parsed JSON of every data: payload ([DONE] markers are skipped)
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} onEvent - (data) => void
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let dataLines = [];
+
+    const dispatch = () => {
+      const payload = dataLines.join('\n');
+      dataLines = [];
+      if (payload && payload !== '[DONE]') {
+        onEvent(JSON.parse(payload));
+      }
+    };
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? '' : lines.pop();
+      lines.forEach((line) => {
+        if (line === '') {
+          dispatch();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trimStart());
+        }
+      });
+
+      if (done) {
+        dispatch();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Create a sink for streamed response text that reports fields as soon as they are complete
+   * @param {Function} [onFields] - Called with every complete raw field so far
+   * @returns {Function} (textDelta) => void
+   */
+  createFieldStream(onFields) {
+    if (!onFields) {
+      return () => {};
+    }
+
+    const parser = new FieldStreamParser();
+    return (delta) => {
+      if (parser.push(delta).length > 0) {
+        onFields([...parser.fields]);
+      }
+    };
+  }
+
+  /**
+   * Create an error that makes withStructuredOutput() retry in free-text mode
+   * Used when a provider rejects the output schema or structured output is unusable
+   * @param {string} message - Error message
+   * @returns {Error} Error flagged for fallback
+   */
+  createStructuredOutputError(message) {
+    const error = new Error(message);
+    error.structuredOutputFailed = true;
+    return error;
+  }
+
+  /**
+   * Run a request with native structured output, falling back to free text
+   * @param {Function} request - async (structured: boolean) => result
+   * @returns {Promise<*>} Result of the request
+   */
+  async withStructuredOutput(request) {
+    if (!this.structuredOutput) {
+      return request(false);
+    }
+
+    try {
+      return await request(true);
+    } catch (error) {
+      if (!error.structuredOutputFailed) {
+        throw error;
+      }
+      console.warn(`Structured output failed (${error.message}), retrying with free-text JSON`);
+      return request(false);
+    }
+  }
+
+  /**
+   * Build a usage record from a provider's token counts
+   * @param {number} inputTokens - Prompt tokens
+   * @param {number} outputTokens - Generated tokens
+   * @returns {object} Usage { model, inputTokens, outputTokens }
+   */
+  createUsage(inputTokens, outputTokens) {
+    return {
+      model: this.model,
+      inputTokens: inputTokens || 0,
+      outputTokens: outputTokens || 0
+    };
+  }
+
+  /**
+   * Keep generating until the model stops on its own
+   * Calls requestFn with the text generated so far; requestFn returns
+   * { text, truncated, usage } for the next chunk. Chunks are concatenated
+   * and their token usage summed.
+   * @param {Function} requestFn - async (partialText) => ({ text, truncated, usage })
+   * @returns {Promise<object>} { content, usage } with the full response text
+   */
+  async generateWithContinuation(requestFn) {
+    let content = '';
+    const usage = this.createUsage(0, 0);
+
+    for (let continuation = 0; ; continuation++) {
+      const chunk = await requestFn(content);
+      content += chunk.text || '';
+      usage.inputTokens += chunk.usage?.inputTokens || 0;
+      usage.outputTokens += chunk.usage?.outputTokens || 0;
+
+      if (!chunk.truncated) {
+        return { content, usage };
+      }
+      if (continuation >= this.maxContinuations) {
+        throw new Error(`Response still truncated after ${this.maxContinuations} continuations`);
+      }
+      console.warn(`Response truncated, requesting continuation ${continuation + 1}...`);
+    }
+  }
 }
 
 export default BaseService;
-
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import BaseService from './BaseService';
+import { FieldStreamParser } from './ResponseParsingService';
+
+const RESPONSE = JSON.stringify({
+  formTitle: 'Order',
+  fields: [
+    { label: 'Note', value: 'Say "hi" {twice}', type: 'text', confidence: 0.9 },
+    { label: 'Box', value: 'A', type: 'text', boundingBox: { x: 0.1, y: 0.2, width: 0.3, height: 0.05 } },
+    { label: 'Path', value: 'C:\\temp\\]', type: 'text' }
+  ]
+});
+
+// Splits the response into chunks of the given size
+const chunk = (text, size) => Array.from({ length: Math.ceil(text.length / size) }, (_, index) => text.slice(index * size, (index + 1) * size));
+
+describe('FieldStreamParser', () => {
+  it('parses a whole response in one chunk', () => {
+    const parser = new FieldStreamParser();
+    expect(parser.push(RESPONSE)).toEqual(JSON.parse(RESPONSE).fields);
+    expect(parser.done).toBe(true);
+  });
+
+  it('gives the same fields however the response is split', () => {
+    const expected = JSON.parse(RESPONSE).fields;
+    for (const size of [1, 2, 3, 7, 16]) {
+      const parser = new FieldStreamParser();
+      const completed = chunk(RESPONSE, size).flatMap((part) => parser.push(part));
+      expect(completed).toEqual(expected);
+      expect(parser.fields).toEqual(expected);
+    }
+  });
+
+  it('finds the array when its key is split across chunks', () => {
+    const parser = new FieldStreamParser();
+    expect(parser.push('{"formTitle": "Order", "fie')).toEqual([]);
+    expect(parser.push('lds" : [{"label": "A", "value": "1"}')).toEqual([{ label: 'A', value: '1' }]);
+  });
+
+  it('returns a field only once its closing brace arrives', () => {
+    const parser = new FieldStreamParser();
+    expect(parser.push('{"fields": [{"label": "A", "value": "}')).toEqual([]);
+    expect(parser.push('\\"", "box": {"x": 1')).toEqual([]);
+    expect(parser.push('}}, {"label": "B"')).toEqual([{ label: 'A', value: '}"', box: { x: 1 } }]);
+    expect(parser.push('}]}')).toEqual([{ label: 'B' }]);
+  });
+
+  it('keeps an escaped quote split from its backslash inside the string', () => {
+    const parser = new FieldStreamParser();
+    parser.push('{"fields": [{"label": "Quote", "value": "a\\');
+    expect(parser.push('"}"}]}')).toEqual([{ label: 'Quote', value: 'a"}' }]);
+  });
+
+  it('skips a malformed field and keeps going', () => {
+    const parser = new FieldStreamParser();
+    expect(parser.push('{"fields": [{"label": A}, {"label": "B"}]}')).toEqual([{ label: 'B' }]);
+  });
+
+  it('ignores text after the end of the array', () => {
+    const parser = new FieldStreamParser();
+    parser.push('```json\n{"fields": [{"label": "A"}]');
+    expect(parser.push(', "extra": [{"label": "B"}]}\n```')).toEqual([]);
+    expect(parser.fields).toEqual([{ label: 'A' }]);
+  });
+});
+
+describe('BaseService.createFieldStream', () => {
+  it('reports all the fields so far each time one completes', () => {
+    const updates = [];
+    const onDelta = new BaseService().createFieldStream((fields) => updates.push(fields.map((field) => field.label)));
+
+    chunk(RESPONSE, 5).forEach(onDelta);
+
+    expect(updates).toEqual([['Note'], ['Note', 'Box'], ['Note', 'Box', 'Path']]);
+  });
+
+  it('does nothing without a listener', () => {
+    expect(() => new BaseService().createFieldStream()(RESPONSE)).not.toThrow();
+  });
+});
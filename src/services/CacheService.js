@@ -0,0 +1,209 @@
+const DB_NAME = 'filereadai-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+const SETTINGS_STORAGE_KEY = 'response-cache-settings';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * CacheService - Content-addressed cache of AI responses in IndexedDB
+ * Entries are keyed by the SHA-256 of the page image plus provider, model and
+ * prompt hash, so a response is only reused for exactly the same request.
+ * The least recently used entries are evicted past the configured size.
+ */
+class CacheService {
+  constructor() {
+    this.dbPromise = null;
+    this.settings = {
+      enabled: import.meta.env.VITE_RESPONSE_CACHE !== 'false',
+      maxEntries: parseInt(import.meta.env.VITE_RESPONSE_CACHE_MAX_ENTRIES || '200', 10),
+      ...this.loadSettings()
+    };
+  }
+
+  /**
+   * Load cache settings saved in the app
+   * @returns {object} Saved { enabled, maxEntries }
+   * @private
+   */
+  loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Get the cache settings
+   * @returns {object} { enabled, maxEntries }
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Change the cache settings; shrinking maxEntries evicts immediately
+   * @param {object} settings - Any of { enabled, maxEntries }
+   * @returns {Promise<void>}
+   */
+  async setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+    await this.evict();
+  }
+
+  /**
+   * Check if the cache can be used in this browser and is enabled
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.settings.enabled && typeof indexedDB !== 'undefined' && !!crypto?.subtle;
+  }
+
+  /**
+   * Open (and create on first use) the cache database
+   * @returns {Promise<IDBDatabase>} Database
+   * @private
+   */
+  openDB() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastUsed', 'lastUsed');
+      };
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Get the object store in a new transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>} Object store
+   * @private
+   */
+  async getStore(mode) {
+    const db = await this.openDB();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  /**
+   * SHA-256 of a file or string as hex
+   * @param {Blob|string} content - Content to hash
+   * @returns {Promise<string>} Hex digest
+   */
+  async hash(content) {
+    const bytes = typeof content === 'string'
+      ? new TextEncoder().encode(content)
+      : await content.arrayBuffer();
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {Blob} imageFile - Page image
+   * @param {string} provider - Provider key
+   * @param {string} model - Model name
+   * @param {string} prompt - Prompt text (and anything else that shapes the answer)
+   * @returns {Promise<string>} Cache key
+   */
+  async createKey(imageFile, provider, model, prompt) {
+    const [imageHash, promptHash] = await Promise.all([this.hash(imageFile), this.hash(prompt)]);
+    return `${imageHash}:${provider}:${model || 'default'}:${promptHash}`;
+  }
+
+  /**
+   * Look up a cached response
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Cached { data, usage, createdAt } or null
+   */
+  async get(key) {
+    const store = await this.getStore('readwrite');
+    const entry = await promisify(store.get(key));
+    if (!entry) {
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    store.put(entry);
+    return entry;
+  }
+
+  /**
+   * Store a response, evicting the least recently used entries if the cache is full
+   * @param {string} key - Cache key
+   * @param {object} value - { data, usage }
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const store = await this.getStore('readwrite');
+    const now = Date.now();
+    await promisify(store.put({ ...value, key, createdAt: now, lastUsed: now }));
+    await this.evict();
+  }
+
+  /**
+   * Remove least recently used entries beyond maxEntries
+   * @returns {Promise<void>}
+   * @private
+   */
+  async evict() {
+    const store = await this.getStore('readwrite');
+    const excess = (await promisify(store.count())) - this.settings.maxEntries;
+    if (excess <= 0) {
+      return;
+    }
+
+    let removed = 0;
+    await new Promise((resolve, reject) => {
+      const cursorRequest = store.index('lastUsed').openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || removed >= excess) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        removed++;
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  }
+
+  /**
+   * Count cached responses
+   * @returns {Promise<number>} Number of entries
+   */
+  async count() {
+    if (typeof indexedDB === 'undefined') {
+      return 0;
+    }
+    const store = await this.getStore('readonly');
+    return promisify(store.count());
+  }
+
+  /**
+   * Delete every cached response
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const store = await this.getStore('readwrite');
+    await promisify(store.clear());
+  }
+}
+
+export default new CacheService();
@@ -0,0 +1,85 @@
+import { PAGE_TYPES, WRITING_STYLES } from './PromptService';
+import TemplateService from './TemplateService';
+
+/**
+ * ClassificationService - Interprets the page classification pass
+ * Decides which pages are classified, which are skipped (cover, instruction and
+ * blank pages) and how a page is routed to a template and provider.
+ */
+class ClassificationService {
+  constructor() {
+    // 'pdf' classifies multi-page PDFs only, 'all' every upload, 'off' nothing
+    this.mode = import.meta.env.VITE_PAGE_CLASSIFICATION || 'pdf';
+    this.skipPageTypes = (import.meta.env.VITE_CLASSIFICATION_SKIP || 'blank,cover,instructions')
+      .split(',')
+      .map((type) => type.trim())
+      .filter(Boolean);
+    // Below this confidence a page is extracted anyway rather than risk losing fields
+    this.minSkipConfidence = parseFloat(import.meta.env.VITE_CLASSIFICATION_SKIP_CONFIDENCE || '0.7');
+    this.handwritingProvider = import.meta.env.VITE_HANDWRITING_PROVIDER || null;
+  }
+
+  /**
+   * Check if pages of an upload should be classified
+   * @param {number} pageCount - Pages in the upload
+   * @returns {boolean} True if classification runs
+   */
+  isEnabled(pageCount) {
+    return this.mode === 'all' || (this.mode === 'pdf' && pageCount > 1);
+  }
+
+  /**
+   * Normalize a raw classification from the model
+   * Unknown values fall back to a plain typed form page so nothing is skipped by mistake
+   * @param {object} raw - Raw classification
+   * @returns {object} { pageType, documentType, language, writing, confidence }
+   */
+  normalize(raw = {}) {
+    const confidence = Number(raw.confidence);
+    const language = String(raw.language || '').trim().toLowerCase();
+    return {
+      pageType: PAGE_TYPES.includes(raw.pageType) ? raw.pageType : 'form',
+      documentType: TemplateService.getTemplate(raw.documentType) ? raw.documentType : null,
+      language: /^[a-z]{2,3}$/.test(language) ? language : null,
+      writing: WRITING_STYLES.includes(raw.writing) ? raw.writing : 'typed',
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0
+    };
+  }
+
+  /**
+   * Check if a page can be skipped
+   * @param {object} classification - Normalized classification
+   * @returns {boolean} True if the page has no fields to extract
+   */
+  shouldSkip(classification) {
+    return this.skipPageTypes.includes(classification.pageType)
+      && classification.confidence >= this.minSkipConfidence;
+  }
+
+  /**
+   * Get the provider a page should be extracted with first
+   * @param {object} classification - Normalized classification
+   * @returns {string|null} Provider key, or null for the selected provider
+   */
+  getPreferredProvider(classification) {
+    const handwritten = classification.writing === 'handwritten' || classification.writing === 'mixed';
+    return handwritten ? this.handwritingProvider : null;
+  }
+
+  /**
+   * Get the document type most pages were classified as
+   * @param {Array<object>} classifications - Normalized classifications of the extracted pages
+   * @returns {string|null} Template key
+   */
+  getDocumentType(classifications) {
+    const counts = {};
+    classifications.forEach(({ documentType }) => {
+      if (documentType) {
+        counts[documentType] = (counts[documentType] || 0) + 1;
+      }
+    });
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  }
+}
+
+export default new ClassificationService();
@@ -0,0 +1,175 @@
+import TemplateService from './TemplateService';
+
+const DB_NAME = 'filereadai-corrections';
+const DB_VERSION = 1;
+const STORE_NAME = 'corrections';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * CorrectionService - Remembers reviewer corrections per document template
+ * Each correction keeps the extracted label and value, the corrected ones and a crop
+ * of the field from the page image. The most relevant corrections of a template are
+ * turned into few-shot examples for the next extraction of that kind of form.
+ */
+class CorrectionService {
+  constructor() {
+    this.dbPromise = null;
+    // Examples added to one prompt (0 turns corrections off), and corrections kept per template
+    this.maxExamples = parseInt(import.meta.env.VITE_FEW_SHOT_EXAMPLES || '5', 10);
+    this.maxPerTemplate = parseInt(import.meta.env.VITE_CORRECTIONS_MAX_PER_TEMPLATE || '50', 10);
+  }
+
+  /**
+   * Check if corrections can be stored in this browser and are used
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.maxExamples > 0 && typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create on first use) the corrections database
+   * @returns {Promise<IDBDatabase>} Database
+   * @private
+   */
+  openDB() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        store.createIndex('template', 'template');
+      };
+      this.dbPromise = promisify(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Get the object store in a new transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>} Object store
+   * @private
+   */
+  async getStore(mode) {
+    const db = await this.openDB();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  /**
+   * Store a correction, replacing an earlier correction of the same field
+   * Keeps the newest maxPerTemplate corrections of the template
+   * @param {object} correction - Correction
+   * @param {string} correction.id - Unique per extracted field, so re-editing replaces it
+   * @param {string} correction.template - Template key
+   * @param {string} correction.type - Field type
+   * @param {object} correction.original - Extracted { label, value }
+   * @param {object} correction.corrected - Corrected { label, value }
+   * @param {string} [correction.crop] - Data URL of the field's image crop
+   * @returns {Promise<void>}
+   */
+  async addCorrection(correction) {
+    const store = await this.getStore('readwrite');
+    await promisify(store.put({ ...correction, createdAt: Date.now() }));
+
+    const corrections = await this.getCorrections(correction.template);
+    const excess = corrections.slice(this.maxPerTemplate);
+    if (excess.length > 0) {
+      const pruneStore = await this.getStore('readwrite');
+      await Promise.all(excess.map(({ id }) => promisify(pruneStore.delete(id))));
+    }
+  }
+
+  /**
+   * Delete a correction, e.g. when a field is edited back to its extracted value
+   * @param {string} id - Correction ID
+   * @returns {Promise<void>}
+   */
+  async deleteCorrection(id) {
+    const store = await this.getStore('readwrite');
+    await promisify(store.delete(id));
+  }
+
+  /**
+   * Get the corrections of a template, newest first
+   * @param {string} template - Template key
+   * @returns {Promise<Array<object>>} Corrections
+   */
+  async getCorrections(template) {
+    const store = await this.getStore('readonly');
+    const corrections = await promisify(store.index('template').getAll(template));
+    return corrections.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Count the stored corrections per template
+   * @returns {Promise<object>} Template key -> number of corrections
+   */
+  async countByTemplate() {
+    if (typeof indexedDB === 'undefined') {
+      return {};
+    }
+    const store = await this.getStore('readonly');
+    const corrections = await promisify(store.getAll());
+    return corrections.reduce((counts, { template }) => ({ ...counts, [template]: (counts[template] || 0) + 1 }), {});
+  }
+
+  /**
+   * Delete the corrections of a template, or all of them
+   * @param {string} [template] - Template key
+   * @returns {Promise<void>}
+   */
+  async clear(template = null) {
+    if (!template) {
+      const store = await this.getStore('readwrite');
+      await promisify(store.clear());
+      return;
+    }
+    const corrections = await this.getCorrections(template);
+    const store = await this.getStore('readwrite');
+    await Promise.all(corrections.map(({ id }) => promisify(store.delete(id))));
+  }
+
+  /**
+   * Pick the corrections to show the model as few-shot examples
+   * Corrections are grouped by corrected label; fields corrected most often come first
+   * (the mistakes the model keeps repeating), then the most recently corrected.
+   * Each label is shown once, with its latest correction.
+   * @param {string} template - Template key
+   * @param {number} [limit] - Maximum number of examples
+   * @returns {Promise<Array<object>>} Corrections, most relevant first
+   */
+  async getExamples(template, limit = this.maxExamples) {
+    if (!this.isEnabled() || !template) {
+      return [];
+    }
+
+    const groups = new Map(); // Normalized corrected label -> { latest, count }
+    (await this.getCorrections(template)).forEach((correction) => {
+      const key = TemplateService.normalizeLabel(correction.corrected.label);
+      const group = groups.get(key);
+      if (group) {
+        group.count++;
+      } else {
+        groups.set(key, { latest: correction, count: 1 });
+      }
+    });
+
+    return [...groups.values()]
+      .sort((a, b) => b.count - a.count || b.latest.createdAt - a.latest.createdAt)
+      .slice(0, limit)
+      .map(({ latest }) => latest);
+  }
+}
+
+export default new CorrectionService();
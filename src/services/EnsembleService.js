@@ -0,0 +1,198 @@
+/**
+ * EnsembleService - Merges extraction results from several AI providers
+ * Matches fields across providers by label similarity and bounding-box overlap,
+ * then scores each merged field by how many providers agree on its value
+ */
+class EnsembleService {
+  constructor() {
+    this.matchThreshold = 0.5;   // Minimum match score to treat two fields as the same
+    this.labelWeight = 0.6;      // Share of the match score from label similarity
+    this.boxWeight = 0.4;        // Share of the match score from bounding-box overlap
+  }
+
+  /**
+   * Normalize a label or value for comparison
+   * @param {string} text - Raw text
+   * @returns {string} Lowercased text without punctuation or extra whitespace
+   * @private
+   */
+  normalize(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Label similarity as token overlap (Jaccard index)
+   * @param {string} a - First label
+   * @param {string} b - Second label
+   * @returns {number} Similarity between 0 and 1
+   */
+  labelSimilarity(a, b) {
+    const tokensA = new Set(this.normalize(a).split(' ').filter(Boolean));
+    const tokensB = new Set(this.normalize(b).split(' ').filter(Boolean));
+    if (tokensA.size === 0 || tokensB.size === 0) {
+      return 0;
+    }
+
+    const shared = [...tokensA].filter((token) => tokensB.has(token)).length;
+    return shared / (tokensA.size + tokensB.size - shared);
+  }
+
+  /**
+   * Intersection over union of two normalized bounding boxes
+   * @param {object} a - First box {x, y, width, height}
+   * @param {object} b - Second box {x, y, width, height}
+   * @returns {number} IoU between 0 and 1 (0 if either box is missing)
+   */
+  boxOverlap(a, b) {
+    if (!a || !b) {
+      return 0;
+    }
+
+    const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+    const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+    if (width <= 0 || height <= 0) {
+      return 0;
+    }
+
+    const intersection = width * height;
+    const union = a.width * a.height + b.width * b.height - intersection;
+    return union > 0 ? intersection / union : 0;
+  }
+
+  /**
+   * Score how likely two fields from different providers are the same field
+   * @param {object} a - First field
+   * @param {object} b - Second field
+   * @returns {number} Match score between 0 and 1
+   */
+  matchScore(a, b) {
+    const labelScore = this.labelSimilarity(a.label, b.label);
+    if (!a.boundingBox || !b.boundingBox) {
+      return labelScore;
+    }
+    return labelScore * this.labelWeight + this.boxOverlap(a.boundingBox, b.boundingBox) * this.boxWeight;
+  }
+
+  /**
+   * Merge raw extraction results from several providers
+   * @param {Array<object>} results - [{ provider, data }] where data is a raw AI response
+   * @returns {object} Raw form data whose fields carry agreement and candidates
+   */
+  mergeResults(results) {
+    const providerCount = results.length;
+    const groups = [];
+
+    // Group fields: each group holds at most one field per provider
+    results.forEach(({ provider, data }) => {
+      (data?.fields || []).forEach((field) => {
+        let bestGroup = null;
+        let bestScore = this.matchThreshold;
+
+        groups.forEach((group) => {
+          if (group.some((candidate) => candidate.provider === provider)) {
+            return;
+          }
+          const score = this.matchScore(group[0].field, field);
+          if (score >= bestScore) {
+            bestGroup = group;
+            bestScore = score;
+          }
+        });
+
+        if (bestGroup) {
+          bestGroup.push({ provider, field });
+        } else {
+          groups.push([{ provider, field }]);
+        }
+      });
+    });
+
+    return {
+      formTitle: results.map(({ data }) => data?.formTitle).find(Boolean) || '',
+      fields: groups.map((group) => this.mergeGroup(group, providerCount))
+    };
+  }
+
+  /**
+   * Merge one group of matched fields into a single field
+   * @param {Array<object>} group - [{ provider, field }]
+   * @param {number} providerCount - Number of providers that returned results
+   * @returns {object} Merged raw field
+   * @private
+   */
+  mergeGroup(group, providerCount) {
+    // Vote on normalized values, breaking ties by summed confidence
+    const votes = new Map();
+    group.forEach((candidate) => {
+      const key = this.normalize(candidate.field.value);
+      const vote = votes.get(key) || { members: [], weight: 0 };
+      vote.members.push(candidate);
+      vote.weight += candidate.field.confidence ?? 0;
+      votes.set(key, vote);
+    });
+
+    const winner = [...votes.values()].sort((a, b) =>
+      b.members.length - a.members.length || b.weight - a.weight
+    )[0];
+    const [first] = winner.members;
+    const boxes = winner.members.map(({ field }) => field.boundingBox).filter(Boolean);
+
+    return {
+      label: first.field.label,
+      value: first.field.value,
+      type: this.mostCommon(group.map(({ field }) => field.type).filter(Boolean)) || first.field.type,
+      // Providers that missed the field count as disagreeing
+      confidence: winner.members.length / providerCount,
+      agreement: {
+        agreeing: winner.members.map(({ provider }) => provider),
+        total: providerCount
+      },
+      boundingBox: boxes.length ? this.averageBox(boxes) : null,
+      candidates: group.map(({ provider, field }) => ({
+        provider,
+        label: field.label,
+        value: field.value ?? '',
+        confidence: field.confidence ?? null
+      }))
+    };
+  }
+
+  /**
+   * Most frequent entry of a list
+   * @param {Array<string>} items - Items
+   * @returns {string|undefined} Most frequent item
+   * @private
+   */
+  mostCommon(items) {
+    const counts = items.reduce((acc, item) => ({ ...acc, [item]: (acc[item] || 0) + 1 }), {});
+    return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  }
+
+  /**
+   * Average several bounding boxes
+   * @param {Array<object>} boxes - Boxes {x, y, width, height}
+   * @returns {object} Averaged box
+   * @private
+   */
+  averageBox(boxes) {
+    const sum = boxes.reduce((acc, box) => ({
+      x: acc.x + box.x,
+      y: acc.y + box.y,
+      width: acc.width + box.width,
+      height: acc.height + box.height
+    }), { x: 0, y: 0, width: 0, height: 0 });
+
+    return {
+      x: sum.x / boxes.length,
+      y: sum.y / boxes.length,
+      width: sum.width / boxes.length,
+      height: sum.height / boxes.length
+    };
+  }
+}
+
+export default new EnsembleService();
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import EnsembleService from './EnsembleService';
+
+const box = (x, y, width = 0.2, height = 0.05) => ({ x, y, width, height });
+
+const result = (provider, fields, formTitle = '') => ({ provider, data: { formTitle, fields } });
+
+describe('EnsembleService', () => {
+  it('merges a field all providers agree on', () => {
+    const merged = EnsembleService.mergeResults([
+      result('openai', [{ label: 'Name', value: 'Jane Doe', type: 'text', confidence: 0.9, boundingBox: box(0.1, 0.1) }]),
+      result('gemini', [{ label: 'name:', value: 'jane doe.', type: 'text', confidence: 0.8, boundingBox: box(0.12, 0.1) }], 'Form'),
+      result('claude', [{ label: 'Name', value: 'Jane  Doe', type: 'text', confidence: 0.7, boundingBox: box(0.11, 0.1) }])
+    ]);
+
+    expect(merged.formTitle).toBe('Form');
+    expect(merged.fields).toHaveLength(1);
+    const [field] = merged.fields;
+    expect(field).toMatchObject({
+      label: 'Name',
+      value: 'Jane Doe',
+      confidence: 1,
+      agreement: { agreeing: ['openai', 'gemini', 'claude'], total: 3 }
+    });
+    expect(field.boundingBox.x).toBeCloseTo(0.11);
+    expect(field.candidates.map((candidate) => candidate.provider)).toEqual(['openai', 'gemini', 'claude']);
+  });
+
+  it('takes the majority value when providers conflict', () => {
+    const [field] = EnsembleService.mergeResults([
+      result('openai', [{ label: 'Total', value: '120.00', type: 'currency', confidence: 0.95, boundingBox: box(0.5, 0.8) }]),
+      result('gemini', [{ label: 'Total', value: '126.00', type: 'currency', confidence: 0.6, boundingBox: box(0.8, 0.8) }]),
+      result('claude', [{ label: 'Total', value: '126.00', type: 'number', confidence: 0.5, boundingBox: box(0.5, 0.8) }])
+    ]).fields;
+
+    expect(field.value).toBe('126.00');
+    expect(field.type).toBe('currency');
+    expect(field.confidence).toBeCloseTo(2 / 3);
+    expect(field.agreement).toEqual({ agreeing: ['gemini', 'claude'], total: 3 });
+    // Only the agreeing providers place the box
+    expect(field.boundingBox).toEqual(box(0.65, 0.8));
+    expect(field.candidates).toEqual([
+      { provider: 'openai', label: 'Total', value: '120.00', confidence: 0.95 },
+      { provider: 'gemini', label: 'Total', value: '126.00', confidence: 0.6 },
+      { provider: 'claude', label: 'Total', value: '126.00', confidence: 0.5 }
+    ]);
+  });
+
+  it('breaks a tied vote by confidence', () => {
+    const [field] = EnsembleService.mergeResults([
+      result('openai', [{ label: 'City', value: 'Springfield', confidence: 0.4 }]),
+      result('gemini', [{ label: 'City', value: 'Shelbyville', confidence: 0.9 }])
+    ]).fields;
+
+    expect(field.value).toBe('Shelbyville');
+    expect(field.confidence).toBe(0.5);
+    expect(field.agreement.agreeing).toEqual(['gemini']);
+  });
+
+  it('counts a provider that missed a field as disagreeing', () => {
+    const fields = EnsembleService.mergeResults([
+      result('openai', [
+        { label: 'Name', value: 'Jane Doe', boundingBox: box(0.1, 0.1) },
+        { label: 'Phone', value: '555-0100', boundingBox: box(0.1, 0.5) }
+      ]),
+      result('gemini', [{ label: 'Name', value: 'Jane Doe', boundingBox: box(0.1, 0.1) }])
+    ]).fields;
+
+    expect(fields.map((field) => [field.label, field.confidence])).toEqual([['Name', 1], ['Phone', 0.5]]);
+    expect(fields[1].candidates).toHaveLength(1);
+  });
+
+  it('keeps two fields of one provider apart', () => {
+    const fields = EnsembleService.mergeResults([
+      result('openai', [
+        { label: 'Date', value: '01/02/2024', boundingBox: box(0.1, 0.2) },
+        { label: 'Date', value: '03/04/2024', boundingBox: box(0.1, 0.6) }
+      ]),
+      result('gemini', [{ label: 'Date', value: '03/04/2024', boundingBox: box(0.1, 0.6) }])
+    ]).fields;
+
+    expect(fields).toHaveLength(2);
+    expect(fields[0].agreement.agreeing).toEqual(['openai']);
+    expect(fields[1].agreement.agreeing).toEqual(['openai', 'gemini']);
+  });
+
+  it('does not match unrelated labels', () => {
+    expect(EnsembleService.mergeResults([
+      result('openai', [{ label: 'Invoice number', value: '42' }]),
+      result('gemini', [{ label: 'Due date', value: '42' }])
+    ]).fields).toHaveLength(2);
+  });
+});
@@ -1,10 +1,24 @@
 import BaseService from './BaseService';
+import ResponseValidationService from './ResponseValidationService';
+import TemplateService from './TemplateService';
+
+/**
+ * Source of fields read from a fillable PDF instead of extracted by a provider
+ */
+export const PDF_FORM_SOURCE = 'pdf-form';
 
 /**
  * FormProcessingService - Handles form preprocessing and post-processing
- * Provides utilities for image optimization, field validation, and data formatting
+ * Provides utilities for PDF rendering, field validation, and data formatting
+ * (photos are cleaned up by PreprocessingService)
  */
 class FormProcessingService extends BaseService {
+  constructor() {
+    super();
+    this.pdfCache = new WeakMap(); // PDF file -> pdf.js document promise
+    this.readPDFForms = import.meta.env.VITE_PDF_FORM_FIELDS !== 'false';
+  }
+
   /**
    * Validate image or PDF file
    * @param {File} file - Image or PDF file to validate
@@ -44,6 +58,35 @@ class FormProcessingService extends BaseService {
     return file.type === 'application/pdf';
   }
 
+  /**
+   * Load a PDF document with pdf.js
+   * Documents are cached per file so rendering several pages (in parallel or
+   * one after another) parses the file only once
+   * @param {File} pdfFile - PDF file
+   * @returns {Promise<object>} pdf.js document proxy
+   */
+  loadPDF(pdfFile) {
+    if (!this.pdfCache.has(pdfFile)) {
+      const loading = (async () => {
+        // Dynamically import pdf.js
+        const pdfjsLib = await import('pdfjs-dist');
+        
+        // Set worker path
+        pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
+
+        // Load PDF
+        const arrayBuffer = await pdfFile.arrayBuffer();
+        return pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+      })();
+
+      // Don't cache failures so a retry can load the file again
+      loading.catch(() => this.pdfCache.delete(pdfFile));
+      this.pdfCache.set(pdfFile, loading);
+    }
+
+    return this.pdfCache.get(pdfFile);
+  }
+
   /**
    * Convert PDF to image (first page)
    * @param {File} pdfFile - PDF file
@@ -51,15 +94,7 @@ class FormProcessingService extends BaseService {
    */
   async convertPDFToImage(pdfFile) {
     try {
-      // Dynamically import pdf.js
-      const pdfjsLib = await import('pdfjs-dist');
-      
-      // Set worker path
-      pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
-
-      // Load PDF
-      const arrayBuffer = await pdfFile.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+      const pdf = await this.loadPDF(pdfFile);
       
       // Get first page
       const page = await pdf.getPage(1);
@@ -104,15 +139,7 @@ class FormProcessingService extends BaseService {
    */
   async convertPDFPageToImage(pdfFile, pageNumber) {
     try {
-      // Dynamically import pdf.js
-      const pdfjsLib = await import('pdfjs-dist');
-      
-      // Set worker path
-      pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
-
-      // Load PDF
-      const arrayBuffer = await pdfFile.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+      const pdf = await this.loadPDF(pdfFile);
       
       // Get specified page
       const page = await pdf.getPage(pageNumber);
@@ -156,15 +183,7 @@ class FormProcessingService extends BaseService {
    */
   async getPDFPageCount(pdfFile) {
     try {
-      // Dynamically import pdf.js
-      const pdfjsLib = await import('pdfjs-dist');
-      
-      // Set worker path
-      pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
-
-      // Load PDF
-      const arrayBuffer = await pdfFile.arrayBuffer();
-      const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+      const pdf = await this.loadPDF(pdfFile);
       
       return pdf.numPages;
     } catch (error) {
@@ -174,53 +193,216 @@ class FormProcessingService extends BaseService {
   }
 
   /**
-   * Compress and optimize image before sending to AI
-   * @param {File} file - Original image file
-   * @param {number} maxWidth - Maximum width
-   * @returns {Promise<Blob>} Optimized image
+   * Read the fillable (AcroForm) fields of a PDF page
+   * Field names, values, types and rectangles come straight from the file, so they
+   * are exact: fields get confidence 1.0 and source PDF_FORM_SOURCE. Radio buttons
+   * are combined into one field per group; push buttons and hidden fields are left out.
+   * @param {File} pdfFile - PDF file
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {Promise<object>} { formTitle, fields } in the AI response format;
+   *   fields is empty for documents or pages without form fields
    */
-  async optimizeImage(file, maxWidth = 1920) {
+  async getPDFFormFields(pdfFile, pageNumber) {
+    const pdf = await this.loadPDF(pdfFile);
+
+    // Documents without an AcroForm have no field objects
+    const fieldObjects = await pdf.getFieldObjects();
+    if (!fieldObjects) {
+      return { formTitle: '', fields: [] };
+    }
+
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1 });
+    const annotations = await page.getAnnotations();
+    const widgets = annotations.filter((annotation) =>
+      annotation.subtype === 'Widget'
+      && annotation.fieldName
+      && !annotation.pushButton
+      && !annotation.hidden
+    );
+    if (widgets.length === 0) {
+      return { formTitle: '', fields: [] };
+    }
+
+    // PDF rectangles are bottom-up user space; the viewport turns them into top-down pixels
+    const toBoundingBox = (rect) => {
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(rect);
+      return {
+        x: Math.min(x1, x2) / viewport.width,
+        y: Math.min(y1, y2) / viewport.height,
+        width: Math.abs(x2 - x1) / viewport.width,
+        height: Math.abs(y2 - y1) / viewport.height
+      };
+    };
+    const union = (a, b) => {
+      const x = Math.min(a.x, b.x);
+      const y = Math.min(a.y, b.y);
+      return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y
+      };
+    };
+    // Tooltips are written for people; field names often look like "form1[0].f1_01[0]"
+    const toLabel = (widget) => widget.alternativeText?.trim()
+      || widget.fieldName.split('.').pop().replace(/\[\d+\]/g, '').replace(/[_-]+/g, ' ').trim()
+      || widget.fieldName;
+
+    const fields = new Map(); // Field name -> field; a field can have several widgets
+    widgets.forEach((widget) => {
+      const boundingBox = toBoundingBox(widget.rect);
+      const existing = fields.get(widget.fieldName);
+
+      if (widget.radioButton) {
+        const selected = widget.fieldValue && widget.fieldValue === widget.buttonValue ? String(widget.buttonValue) : '';
+        if (existing) {
+          existing.boundingBox = union(existing.boundingBox, boundingBox);
+          existing.value = existing.value || selected;
+        } else {
+          fields.set(widget.fieldName, this.createPDFFormField(widget, toLabel(widget), 'radio', selected, boundingBox));
+        }
+        return;
+      }
+      if (existing) {
+        return;
+      }
+
+      let type = 'text';
+      let value = widget.fieldValue ?? '';
+      if (widget.checkBox) {
+        type = 'checkbox';
+        const checked = !!value && value !== 'Off' && (!widget.exportValue || value === widget.exportValue);
+        value = checked ? 'checked' : 'unchecked';
+      } else if (widget.fieldType === 'Ch') {
+        type = 'select';
+        // Show the option text rather than its export value
+        const display = (selected) => widget.options?.find((option) => option.exportValue === selected)?.displayValue ?? selected;
+        value = [].concat(value).map(display).join(', ');
+      } else if (widget.fieldType === 'Tx' && widget.multiLine) {
+        type = 'textarea';
+      } else if (widget.fieldType === 'Sig') {
+        value = '';
+      }
+
+      fields.set(widget.fieldName, this.createPDFFormField(widget, toLabel(widget), type, String(value), boundingBox));
+    });
+
+    const metadata = await pdf.getMetadata().catch(() => null);
+    return {
+      formTitle: metadata?.info?.Title || '',
+      fields: [...fields.values()]
+    };
+  }
+
+  /**
+   * Build a field read from a PDF form
+   * @param {object} widget - pdf.js widget annotation
+   * @param {string} label - Field label
+   * @param {string} type - Field type
+   * @param {string} value - Field value
+   * @param {object} boundingBox - Normalized bounding box
+   * @returns {object} Field in the AI response format
+   * @private
+   */
+  createPDFFormField(widget, label, type, value, boundingBox) {
+    return {
+      label,
+      value,
+      type,
+      confidence: 1.0,
+      boundingBox,
+      source: PDF_FORM_SOURCE,
+      fieldName: widget.fieldName
+    };
+  }
+
+  /**
+   * Read the words of a PDF page's text layer with their positions
+   * Text runs are split into words with widths estimated from their share of the
+   * run's characters. Scanned pages have no text layer and return no words.
+   * Assumes horizontal text.
+   * @param {File} pdfFile - PDF file
+   * @param {number} pageNumber - Page number (1-indexed)
+   * @returns {Promise<Array<object>>} Words { text, box } with normalized boxes, in reading order
+   */
+  async getPDFTextWords(pdfFile, pageNumber) {
+    const pdf = await this.loadPDF(pdfFile);
+    const page = await pdf.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: 1 });
+    const { items } = await page.getTextContent();
+
+    return items.flatMap((item) => {
+      if (!item.str?.trim() || !item.width) {
+        return [];
+      }
+
+      // The transform's translation is the left end of the baseline
+      const [left, baseline] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+      const height = item.height || Math.hypot(item.transform[2], item.transform[3]);
+      const charWidth = item.width / item.str.length;
+
+      return [...item.str.matchAll(/\S+/g)].map((match) => ({
+        text: match[0],
+        box: {
+          x: (left + match.index * charWidth) / viewport.width,
+          y: (baseline - height) / viewport.height,
+          width: (match[0].length * charWidth) / viewport.width,
+          height: height / viewport.height
+        }
+      }));
+    });
+  }
+
+  /**
+   * Crop a field out of a page image
+   * @param {Blob} imageFile - Page image
+   * @param {object} boundingBox - Normalized { x, y, width, height } of the field
+   * @param {object} [options] - Options
+   * @param {number} [options.padding] - Margin around the box as a fraction of the page
+   * @param {number} [options.maxWidth] - Maximum width of the crop in pixels
+   * @returns {Promise<string>} JPEG data URL of the crop
+   */
+  async cropImage(imageFile, boundingBox, { padding = 0.01, maxWidth = 480 } = {}) {
     return new Promise((resolve, reject) => {
       const img = new Image();
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      
+      const url = URL.createObjectURL(imageFile);
+
       img.onload = () => {
-        let width = img.width;
-        let height = img.height;
-        
-        // Scale down if too large
-        if (width > maxWidth) {
-          height = (height * maxWidth) / width;
-          width = maxWidth;
+        URL.revokeObjectURL(url);
+        const clamp = (value) => Math.min(Math.max(value, 0), 1);
+        const left = clamp(boundingBox.x - padding);
+        const top = clamp(boundingBox.y - padding);
+        const sourceWidth = (clamp(boundingBox.x + boundingBox.width + padding) - left) * img.width;
+        const sourceHeight = (clamp(boundingBox.y + boundingBox.height + padding) - top) * img.height;
+        if (sourceWidth < 1 || sourceHeight < 1) {
+          reject(new Error('Bounding box is empty'));
+          return;
         }
-        
-        canvas.width = width;
-        canvas.height = height;
-        
-        // Draw and compress
-        ctx.drawImage(img, 0, 0, width, height);
-        
-        canvas.toBlob(
-          (blob) => {
-            if (blob) {
-              resolve(blob);
-            } else {
-              reject(new Error('Image optimization failed'));
-            }
-          },
-          file.type,
-          0.9 // Quality
+
+        const scale = Math.min(1, maxWidth / sourceWidth);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(sourceWidth * scale);
+        canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+        canvas.getContext('2d').drawImage(
+          img,
+          left * img.width, top * img.height, sourceWidth, sourceHeight,
+          0, 0, canvas.width, canvas.height
         );
+        resolve(canvas.toDataURL('image/jpeg', 0.8));
       };
-      
-      img.onerror = () => reject(new Error('Failed to load image'));
-      img.src = URL.createObjectURL(file);
+
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Failed to load image'));
+      };
+      img.src = url;
     });
   }
 
   /**
    * Format extracted fields for display/export
+   * Fields are validated first; anything repaired is listed in field.warnings
    * @param {object} rawData - Raw AI response
    * @param {number} pageNumber - Page number (optional, defaults to 1)
    * @returns {object} Formatted data
@@ -240,18 +422,50 @@ class FormProcessingService extends BaseService {
     return {
       ...dataWithoutSummary,
       extractedAt: new Date().toISOString(),
-      fields: rawData.fields.map((field, index) => ({
+      fields: ResponseValidationService.validateFields(rawData).map((field, index) => ({
         id: `field_${index}_${pageNumber}`,
-        label: field.label || `Field ${index + 1}`,
-        value: field.value || '',
-        type: field.type || 'text',
-        confidence: field.confidence || 0.8,
+        label: field.label,
+        value: field.value,
+        type: field.type,
+        confidence: field.confidence,
         verified: false,
-        boundingBox: field.boundingBox || null
+        boundingBox: field.boundingBox,
+        warnings: field.warnings,
+        // Ensemble results keep every provider's answer for review
+        ...(field.candidates && { candidates: field.candidates, agreement: field.agreement }),
+        ...(field.source && { source: field.source, fieldName: field.fieldName })
       }))
     };
   }
 
+  /**
+   * Compare two field lists, e.g. the results of two prompt versions
+   * Fields are matched by normalized label, in order when a label repeats
+   * @param {Array<object>} fieldsA - Formatted fields of the first result
+   * @param {Array<object>} fieldsB - Formatted fields of the second result
+   * @returns {Array<object>} Rows { label, status, a, b } where status is 'same', 'changed',
+   *   'added' (only in B) or 'missing' (only in A), and a/b are the matched fields
+   */
+  compareFields(fieldsA, fieldsB) {
+    const normalizeValue = (field) => String(field.value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const unmatched = new Map(); // Normalized label -> fields of B not matched yet
+    fieldsB.forEach((field) => {
+      const key = TemplateService.normalizeLabel(field.label);
+      unmatched.set(key, [...(unmatched.get(key) || []), field]);
+    });
+
+    const rows = fieldsA.map((a) => {
+      const b = unmatched.get(TemplateService.normalizeLabel(a.label))?.shift();
+      if (!b) {
+        return { label: a.label, status: 'missing', a, b: null };
+      }
+      return { label: a.label, status: normalizeValue(a) === normalizeValue(b) ? 'same' : 'changed', a, b };
+    });
+
+    const added = fieldsB.filter((field) => unmatched.get(TemplateService.normalizeLabel(field.label)).includes(field));
+    return [...rows, ...added.map((b) => ({ label: b.label, status: 'added', a: null, b }))];
+  }
+
   /**
    * Export form data to JSON
    * @param {object} formData - Form data to export
@@ -275,8 +489,8 @@ class FormProcessingService extends BaseService {
     const rows = formData.fields.map(field => [
       field.label,
       field.value,
-      field.type,
-      field.confidence,
+      field.type ?? '',
+      field.confidence ?? '',
       field.verified ? 'Yes' : 'No'
     ]);
 
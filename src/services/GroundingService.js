@@ -0,0 +1,266 @@
+// Field types whose values are plain text that can be found in the text layer
+const TEXT_TYPES = ['text', 'number', 'date', 'email', 'phone', 'select', 'textarea'];
+
+// Margin around a field's box, as a fraction of the page, for words on its edge
+const BOX_MARGIN = 0.005;
+
+// Edits allowed per character of the value for a difference to count as a misread
+const CORRECTION_RATE = 0.25;
+
+/**
+ * Read a numeric date into its parts
+ * @param {string} text - Date such as "2024-03-15", "15/03/2024" or "3.15.24"
+ * @returns {object|null} { iso, parts, readings } with the numbers in written order and
+ *   each valid { year, month, day } reading; null if the text isn't a numeric date
+ */
+function parseDate(text) {
+  const match = String(text).trim().match(/^(\d{1,4})\D{1,3}(\d{1,2})\D{1,3}(\d{1,4})$/);
+  if (!match) {
+    return null;
+  }
+
+  const parts = match.slice(1).map(Number);
+  const fullYear = (year) => (year >= 100 ? year : year + (year < 70 ? 2000 : 1900));
+  const isValid = ({ month, day }) => month >= 1 && month <= 12 && day >= 1 && day <= 31;
+
+  if (match[1].length > 2) {
+    const reading = { year: fullYear(parts[0]), month: parts[1], day: parts[2] };
+    return { iso: true, parts: [reading.year, parts[1], parts[2]], readings: isValid(reading) ? [reading] : [] };
+  }
+
+  const year = fullYear(parts[2]);
+  const readings = [
+    { year, month: parts[1], day: parts[0] }, // D/M/Y
+    { year, month: parts[0], day: parts[1] }  // M/D/Y
+  ].filter(isValid);
+  // 03/03/2024 reads the same both ways
+  if (readings.length === 2 && readings[0].month === readings[1].month) {
+    readings.pop();
+  }
+  return { iso: false, parts: [parts[0], parts[1], year], readings };
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * GroundingService - Checks extracted values against a PDF's text layer
+ * Digitally generated PDFs carry their exact text. The words inside a field's
+ * bounding box are compared with the value the model read: small differences are
+ * corrected to the PDF text, larger ones are flagged, and the box is tightened to
+ * the words it covers.
+ *
+ * Grounded fields get field.grounding: 'matched', 'corrected' (with originalValue)
+ * or 'mismatch' (with a warning quoting the PDF text).
+ */
+class GroundingService {
+  constructor() {
+    this.enabled = import.meta.env.VITE_PDF_TEXT_GROUNDING !== 'false';
+  }
+
+  /**
+   * Ground extracted fields in the words of their page
+   * @param {Array<object>} fields - Formatted fields of one page
+   * @param {Array<object>} words - Words { text, box } from FormProcessingService.getPDFTextWords
+   * @returns {Array<object>} Fields, grounded where the text layer covers them
+   */
+  groundFields(fields, words) {
+    if (words.length === 0) {
+      return fields;
+    }
+    return fields.map((field) => this.groundField(field, words));
+  }
+
+  /**
+   * Ground one field
+   * Fields without a box or text value, and fields not read by a model, are left as they are
+   * @param {object} field - Formatted field
+   * @param {Array<object>} words - Words of the page
+   * @returns {object} Field
+   * @private
+   */
+  groundField(field, words) {
+    const value = String(field.value ?? '').trim();
+    if (!field.boundingBox || field.source || !TEXT_TYPES.includes(field.type) || !value) {
+      return field;
+    }
+
+    const inside = words.filter((word) => this.contains(field.boundingBox, word.box));
+    // The box usually covers the label too; only the other words can hold the value
+    const labelTokens = new Set(this.tokenize(field.label));
+    const valueWords = inside.filter((word) => {
+      const token = this.tokenize(word.text).join(' ');
+      return token && !labelTokens.has(token);
+    });
+    if (valueWords.length === 0) {
+      // No printed text here (e.g. a handwritten or drawn value); nothing to compare with
+      return field;
+    }
+
+    const boundingBox = this.unionBox(inside.map((word) => word.box));
+    const match = this.findBestMatch(field.type, value, valueWords.map((word) => word.text));
+
+    if (match.equivalent) {
+      return { ...field, boundingBox, grounding: 'matched' };
+    }
+
+    if (match.distance <= Math.floor(value.length * CORRECTION_RATE)) {
+      return {
+        ...field,
+        value: match.text,
+        originalValue: field.value,
+        boundingBox,
+        grounding: 'corrected',
+        warnings: [...(field.warnings || []), `Corrected to the PDF text (read as "${field.value}")`]
+      };
+    }
+
+    const pdfText = valueWords.map((word) => word.text).join(' ');
+    return {
+      ...field,
+      grounding: 'mismatch',
+      warnings: [...(field.warnings || []), `The PDF text here reads "${pdfText}"`]
+    };
+  }
+
+  /**
+   * Find the run of words closest to a value
+   * Tries runs of one word fewer to one word more than the value has
+   * @param {string} type - Field type
+   * @param {string} value - Extracted value
+   * @param {Array<string>} words - Candidate words in reading order
+   * @returns {object} { text, distance, equivalent } of the closest run
+   * @private
+   */
+  findBestMatch(type, value, words) {
+    const target = value.toLowerCase().replace(/\s+/g, ' ');
+    const length = value.split(/\s+/).length;
+    let best = { text: '', distance: Infinity, equivalent: false };
+
+    for (let size = Math.max(1, length - 1); size <= Math.min(words.length, length + 1); size++) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const text = words.slice(start, start + size).join(' ');
+        if (this.isEquivalent(type, value, text)) {
+          return { text, distance: 0, equivalent: true };
+        }
+        const distance = levenshtein(target, text.toLowerCase());
+        if (distance < best.distance) {
+          best = { text, distance, equivalent: false };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Check if a value and PDF text say the same thing
+   * Case and spacing are ignored, and numbers and phone numbers compare by their digits.
+   * Dates compare by year, month and day: written in the same order, the parts must agree
+   * in place; reformatted (e.g. YYYY-MM-DD for DD/MM/YYYY), both must read as one date,
+   * so a swapped day and month is never taken as a match
+   * @param {string} type - Field type
+   * @param {string} value - Extracted value
+   * @param {string} text - PDF text
+   * @returns {boolean} True if equivalent
+   * @private
+   */
+  isEquivalent(type, value, text) {
+    const normalize = (s) => s.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (normalize(value) === normalize(text)) {
+      return true;
+    }
+
+    const digits = (s) => s.replace(/[^0-9]/g, '');
+    if (type === 'number' || type === 'phone') {
+      return digits(value) !== '' && digits(value) === digits(text);
+    }
+    if (type === 'date') {
+      return this.isSameDate(value, text);
+    }
+    return false;
+  }
+
+  /**
+   * Check if two numeric dates are the same day
+   * @param {string} value - Extracted date
+   * @param {string} text - PDF text
+   * @returns {boolean} True if both are the same date without ambiguity
+   * @private
+   */
+  isSameDate(value, text) {
+    const a = parseDate(value);
+    const b = parseDate(text);
+    if (!a || !b || a.readings.length === 0 || b.readings.length === 0) {
+      return false;
+    }
+    if (a.iso === b.iso) {
+      return a.parts.every((part, i) => part === b.parts[i]);
+    }
+    if (a.readings.length > 1 || b.readings.length > 1) {
+      return false;
+    }
+    const [x] = a.readings;
+    const [y] = b.readings;
+    return x.year === y.year && x.month === y.month && x.day === y.day;
+  }
+
+  /**
+   * Check if a word lies in a box (by its center, with a small margin)
+   * @param {object} box - Normalized field box
+   * @param {object} wordBox - Normalized word box
+   * @returns {boolean} True if inside
+   * @private
+   */
+  contains(box, wordBox) {
+    const centerX = wordBox.x + wordBox.width / 2;
+    const centerY = wordBox.y + wordBox.height / 2;
+    return centerX >= box.x - BOX_MARGIN && centerX <= box.x + box.width + BOX_MARGIN
+      && centerY >= box.y - BOX_MARGIN && centerY <= box.y + box.height + BOX_MARGIN;
+  }
+
+  /**
+   * Smallest box around several boxes
+   * @param {Array<object>} boxes - Normalized boxes
+   * @returns {object} Normalized box
+   * @private
+   */
+  unionBox(boxes) {
+    const left = Math.min(...boxes.map((box) => box.x));
+    const top = Math.min(...boxes.map((box) => box.y));
+    const right = Math.max(...boxes.map((box) => box.x + box.width));
+    const bottom = Math.max(...boxes.map((box) => box.y + box.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Split a label into lowercase words without punctuation
+   * @param {string} text - Text
+   * @returns {Array<string>} Words
+   * @private
+   */
+  tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  }
+}
+
+export default new GroundingService();
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import GroundingService from './GroundingService';
+
+// One field with its label and value on a line of PDF words
+const ground = (value, pdfValue, type = 'date') => {
+  const field = { label: 'Date', value, type, boundingBox: { x: 0, y: 0, width: 0.5, height: 0.05 } };
+  const words = [
+    { text: 'Date', box: { x: 0.01, y: 0.01, width: 0.05, height: 0.03 } },
+    { text: pdfValue, box: { x: 0.1, y: 0.01, width: 0.15, height: 0.03 } }
+  ];
+  const [grounded] = GroundingService.groundFields([field], words);
+  return grounded;
+};
+
+describe('GroundingService', () => {
+  it('matches the same value', () => {
+    expect(ground('01/02/2024', '01/02/2024').grounding).toBe('matched');
+    expect(ground('01-02-2024', '01/02/2024').grounding).toBe('matched');
+  });
+
+  it('does not match a date with day and month swapped', () => {
+    const field = ground('01/02/2024', '02/01/2024');
+    expect(field.grounding).not.toBe('matched');
+    expect(field.value).toBe('02/01/2024');
+    expect(field.originalValue).toBe('01/02/2024');
+  });
+
+  it('does not match a date with transposed digits', () => {
+    expect(ground('12/03/2024', '21/03/2024').grounding).not.toBe('matched');
+  });
+
+  it('matches a reformatted date that reads one way only', () => {
+    const field = ground('2024-03-15', '15/03/2024');
+    expect(field.grounding).toBe('matched');
+    expect(field.value).toBe('2024-03-15');
+  });
+
+  it('does not match a reformatted date whose day and month are ambiguous', () => {
+    expect(ground('2024-02-01', '01/02/2024').grounding).not.toBe('matched');
+  });
+
+  it('corrects a small misread', () => {
+    const field = ground('INV-1O23', 'INV-1023', 'text');
+    expect(field.grounding).toBe('corrected');
+    expect(field.value).toBe('INV-1023');
+  });
+});
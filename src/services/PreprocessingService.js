@@ -0,0 +1,816 @@
+// Steps in pipeline order; 'grayscale' and 'binarize' are off unless configured
+const STEPS = ['crop', 'rotate', 'deskew', 'grayscale', 'contrast', 'binarize'];
+const DEFAULT_STEPS = ['crop', 'rotate', 'deskew', 'contrast'];
+
+// Longest side of the downscaled copies the page and its text lines are found on, in pixels
+const ANALYSIS_SIZE = 500;
+const TEXT_ANALYSIS_SIZE = 1000;
+
+// Deskew searches this range in coarse steps, then refines around the best angle (degrees)
+const MAX_SKEW = 15;
+const SKEW_STEP = 0.5;
+const FINE_SKEW_STEP = 0.1;
+// Smaller skews are left alone
+const MIN_SKEW = 0.3;
+// Dark pixels sampled to score a skew angle
+const SKEW_SAMPLES = 20000;
+
+// Text lines must line up this much better top to bottom than left to right for a page to count as sideways
+const ROTATION_RATIO = 1.5;
+
+// A page found by crop must cover this share of the photo: less is likely a misdetection,
+// more leaves nothing to crop. Its outline must also be close to a quadrilateral.
+const MIN_PAGE_AREA = 0.2;
+const MAX_PAGE_AREA = 0.9;
+const MIN_PAGE_FILL = 0.85;
+
+/**
+ * Create a canvas
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement} Canvas
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+}
+
+/**
+ * Load an image file
+ * @param {Blob} file - Image file
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    const url = URL.createObjectURL(file);
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to load image'));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Read the EXIF orientation (1-8) of a JPEG
+ * @param {Blob} file - Image file
+ * @returns {Promise<number>} Orientation, 1 if missing or not a JPEG
+ */
+async function readOrientation(file) {
+  if (file.type !== 'image/jpeg' && file.type !== 'image/jpg') {
+    return 1;
+  }
+
+  const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+  try {
+    if (view.getUint16(0) !== 0xFFD8) {
+      return 1;
+    }
+    // Walk the JPEG segments to the APP1 "Exif" segment, then find tag 0x0112 in IFD0
+    for (let offset = 2; offset + 4 <= view.byteLength; offset += 2 + view.getUint16(offset + 2)) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00) {
+        return 1;
+      }
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        const tiff = offset + 10;
+        const littleEndian = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+        const entries = view.getUint16(ifd, littleEndian);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, littleEndian) === 0x0112) {
+            return view.getUint16(entry + 8, littleEndian);
+          }
+        }
+        return 1;
+      }
+    }
+  } catch {
+    // Truncated or malformed EXIF data
+  }
+  return 1;
+}
+
+/**
+ * Otsu's threshold of a grayscale image
+ * @param {Uint8ClampedArray} gray - Luminance values
+ * @returns {number} Threshold: values up to it are dark, values above it light
+ */
+function otsuThreshold(gray) {
+  const histogram = new Array(256).fill(0);
+  gray.forEach((value) => histogram[value]++);
+
+  const total = gray.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  let best = { threshold: 128, variance: -1 };
+
+  for (let threshold = 0; threshold < 256; threshold++) {
+    backgroundCount += histogram[threshold];
+    if (backgroundCount === 0 || backgroundCount === total) {
+      continue;
+    }
+    backgroundSum += threshold * histogram[threshold];
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (sum - backgroundSum) / (total - backgroundCount);
+    const variance = backgroundCount * (total - backgroundCount) * (backgroundMean - foregroundMean) ** 2;
+    if (variance > best.variance) {
+      best = { threshold, variance };
+    }
+  }
+  return best.threshold;
+}
+
+/**
+ * Solve a linear system with Gaussian elimination
+ * @param {Array<Array<number>>} matrix - Augmented matrix (modified)
+ * @returns {Array<number>} Solution
+ */
+function solve(matrix) {
+  const n = matrix.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k <= n; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+    }
+  }
+
+  const solution = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let value = matrix[row][n];
+    for (let k = row + 1; k < n; k++) {
+      value -= matrix[row][k] * solution[k];
+    }
+    solution[row] = value / matrix[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Spread of a list of numbers: the median distance from their median
+ * @param {Array<number>} values - Values
+ * @returns {number} Median absolute deviation
+ */
+function medianDeviation(values) {
+  const median = (list) => [...list].sort((a, b) => a - b)[Math.floor(list.length / 2)];
+  const center = median(values);
+  return median(values.map((value) => Math.abs(value - center)));
+}
+
+/**
+ * PreprocessingService - Cleans up photographed forms before extraction
+ * A canvas pipeline applied to uploaded images: the EXIF orientation is baked in,
+ * the page is cropped out of the background and its perspective corrected, sideways
+ * or upside-down pages are turned upright, skew is removed, and the image can be
+ * converted to grayscale, contrast-stretched and binarised.
+ *
+ * The processed image replaces the upload, so the provider and the preview see the
+ * same pixels and bounding boxes line up. Manual rotations and crops made in the
+ * viewer are applied with applyEdit().
+ */
+class PreprocessingService {
+  constructor() {
+    // Comma-separated steps from STEPS, or 'off'
+    const steps = import.meta.env.VITE_IMAGE_PREPROCESSING ?? DEFAULT_STEPS.join(',');
+    this.steps = steps.split(',').map((step) => step.trim()).filter((step) => STEPS.includes(step));
+    this.maxWidth = parseInt(import.meta.env.VITE_IMAGE_MAX_WIDTH || '1920', 10);
+  }
+
+  /**
+   * Check if uploaded images are preprocessed
+   * @returns {boolean} True if enabled
+   */
+  isEnabled() {
+    return this.steps.length > 0;
+  }
+
+  /**
+   * Run the pipeline on an image
+   * Images wider than maxWidth are scaled down first; images no step changes are
+   * returned as they are
+   * @param {File} file - Uploaded image
+   * @returns {Promise<object>} { file, steps } with the processed image (same name) and
+   *   a description of each step that changed it, e.g. "Deskewed 2.1°"
+   */
+  async preprocess(file) {
+    const applied = [];
+    const orientation = await readOrientation(file);
+    const image = await loadImage(file);
+    let canvas = this.drawOriented(image, orientation);
+    const scaled = canvas.width * canvas.height < image.naturalWidth * image.naturalHeight;
+    if (orientation > 1) {
+      applied.push('Orientation fixed');
+    }
+
+    if (this.steps.includes('crop')) {
+      const corners = this.findPage(canvas);
+      if (corners) {
+        canvas = this.warpPerspective(canvas, corners);
+        applied.push('Cropped to page');
+      }
+    }
+
+    if (this.steps.includes('rotate')) {
+      const rotation = this.detectRotation(canvas);
+      if (rotation) {
+        canvas = this.rotate(canvas, rotation);
+        applied.push(`Rotated ${rotation}°`);
+      }
+    }
+
+    if (this.steps.includes('deskew')) {
+      const skew = this.detectSkew(canvas);
+      if (skew) {
+        canvas = this.rotate(canvas, -skew);
+        applied.push(`Deskewed ${skew.toFixed(1)}°`);
+      }
+    }
+
+    const context = canvas.getContext('2d');
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+    if (this.steps.includes('grayscale')) {
+      this.toGrayscale(imageData);
+      applied.push('Grayscale');
+    }
+    if (this.steps.includes('contrast') && this.stretchContrast(imageData)) {
+      applied.push('Contrast');
+    }
+    if (this.steps.includes('binarize')) {
+      this.binarize(imageData);
+      applied.push('Binarised');
+    }
+    context.putImageData(imageData, 0, 0);
+
+    // A clean scan is sent as uploaded rather than re-encoded
+    if (applied.length === 0 && !scaled) {
+      return { file, steps: applied };
+    }
+
+    // PNG uploads stay lossless, and binarised pages compress far better that way
+    const type = this.steps.includes('binarize') || file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((result) => (result ? resolve(result) : reject(new Error('Image preprocessing failed'))), type, 0.92);
+    });
+    return { file: new File([blob], file.name, { type }), steps: applied };
+  }
+
+  /**
+   * Apply a manual edit to a page image: a clockwise rotation, then a crop
+   * @param {Blob} file - Page image before the edit
+   * @param {object} edit - Page edit
+   * @param {number} [edit.rotation] - Clockwise rotation in degrees (a multiple of 90)
+   * @param {object} [edit.crop] - Normalized { x, y, width, height } of the rotated image to keep
+   * @returns {Promise<File>} Edited image, named like the original
+   */
+  async applyEdit(file, { rotation = 0, crop = null }) {
+    const image = await loadImage(file);
+    let canvas = createCanvas(image.naturalWidth, image.naturalHeight);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+
+    if (rotation) {
+      canvas = this.rotate(canvas, rotation);
+    }
+    if (crop) {
+      const output = createCanvas(crop.width * canvas.width, crop.height * canvas.height);
+      output.getContext('2d').drawImage(
+        canvas,
+        crop.x * canvas.width, crop.y * canvas.height, output.width, output.height,
+        0, 0, output.width, output.height
+      );
+      canvas = output;
+    }
+
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((result) => (result ? resolve(result) : reject(new Error('Could not edit the page'))), type, 0.92);
+    });
+    return new File([blob], file.name, { type });
+  }
+
+  /**
+   * Move a normalized box from a page image onto its edited image
+   * @param {object} box - Normalized { x, y, width, height } on the page before the edit
+   * @param {object} edit - Page edit { rotation, crop } as for applyEdit()
+   * @returns {object|null} Box on the edited image, clipped to the crop; null if cropped away
+   */
+  mapBox(box, { rotation = 0, crop = null }) {
+    let { x, y, width, height } = box;
+    // A quarter turn clockwise moves the point (x, y) to (1 - y, x)
+    for (let turn = 0; turn < (((rotation / 90) % 4) + 4) % 4; turn++) {
+      [x, y, width, height] = [1 - y - height, x, height, width];
+    }
+    if (!crop) {
+      return { x, y, width, height };
+    }
+
+    const left = Math.max(x, crop.x);
+    const top = Math.max(y, crop.y);
+    const right = Math.min(x + width, crop.x + crop.width);
+    const bottom = Math.min(y + height, crop.y + crop.height);
+    if (right <= left || bottom <= top) {
+      return null;
+    }
+    return {
+      x: (left - crop.x) / crop.width,
+      y: (top - crop.y) / crop.height,
+      width: (right - left) / crop.width,
+      height: (bottom - top) / crop.height
+    };
+  }
+
+  /**
+   * Move the boxes of fields or words onto an edited page image
+   * Items cropped away are dropped; items without a box are kept as they are
+   * @param {Array<object>} items - Items with a normalized box
+   * @param {object|null} edit - Page edit { rotation, crop }, or null for none
+   * @param {string} [key] - Property holding the box
+   * @returns {Array<object>} Items with their boxes on the edited image
+   */
+  mapBoxes(items, edit, key = 'boundingBox') {
+    if (!edit) {
+      return items;
+    }
+    return items.flatMap((item) => {
+      if (!item[key]) {
+        return [item];
+      }
+      const box = this.mapBox(item[key], edit);
+      return box ? [{ ...item, [key]: box }] : [];
+    });
+  }
+
+  /**
+   * Draw an image upright and scaled down to maxWidth
+   * Browsers that apply EXIF orientation themselves already draw the image upright;
+   * for the others the orientation is applied here
+   * @param {HTMLImageElement} image - Loaded image
+   * @param {number} orientation - EXIF orientation (1-8)
+   * @returns {HTMLCanvasElement} Canvas
+   * @private
+   */
+  drawOriented(image, orientation) {
+    const applied = typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+    const transform = applied ? 1 : orientation;
+    const sideways = transform >= 5;
+
+    const outputWidth = sideways ? image.naturalHeight : image.naturalWidth;
+    const scale = Math.min(1, this.maxWidth / outputWidth);
+    const width = image.naturalWidth * scale;
+    const height = image.naturalHeight * scale;
+    const canvas = sideways ? createCanvas(height, width) : createCanvas(width, height);
+    const context = canvas.getContext('2d');
+
+    // Transforms that undo each EXIF orientation for the drawn size
+    const transforms = {
+      2: [-1, 0, 0, 1, width, 0],
+      3: [-1, 0, 0, -1, width, height],
+      4: [1, 0, 0, -1, 0, height],
+      5: [0, 1, 1, 0, 0, 0],
+      6: [0, 1, -1, 0, height, 0],
+      7: [0, -1, -1, 0, height, width],
+      8: [0, -1, 1, 0, 0, width]
+    };
+    if (transforms[transform]) {
+      context.setTransform(...transforms[transform]);
+    }
+    context.drawImage(image, 0, 0, width, height);
+    return canvas;
+  }
+
+  /**
+   * Downscale a canvas to grayscale for analysis
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @param {number} [size] - Longest side of the copy
+   * @returns {object} { gray, width, height, scale } with luminance values
+   * @private
+   */
+  getLuminance(canvas, size = ANALYSIS_SIZE) {
+    const scale = Math.min(1, size / Math.max(canvas.width, canvas.height));
+    const small = createCanvas(canvas.width * scale, canvas.height * scale);
+    const context = small.getContext('2d');
+    context.drawImage(canvas, 0, 0, small.width, small.height);
+    const { data } = context.getImageData(0, 0, small.width, small.height);
+
+    const gray = new Uint8ClampedArray(small.width * small.height);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return { gray, width: small.width, height: small.height, scale: small.width / canvas.width };
+  }
+
+  /**
+   * Find the corners of a page photographed on a darker background
+   * The page is the largest bright region; its corners are the region's extreme points
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @returns {Array<object>|null} Corners { x, y } (top-left, top-right, bottom-right,
+   *   bottom-left) in canvas pixels, or null if no page stands out
+   * @private
+   */
+  findPage(canvas) {
+    const { gray: luminance, width, height, scale } = this.getLuminance(canvas);
+    // Brightest neighbour of each pixel, so ruled lines and text don't split the page
+    const gray = luminance.map((value, index) => {
+      const x = index % width;
+      let brightest = value;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbour = index + dy * width + dx;
+          if (x + dx >= 0 && x + dx < width && neighbour >= 0 && neighbour < luminance.length) {
+            brightest = Math.max(brightest, luminance[neighbour]);
+          }
+        }
+      }
+      return brightest;
+    });
+    const threshold = otsuThreshold(gray);
+
+    // Label bright regions with a flood fill and keep the largest
+    const region = new Int32Array(gray.length).fill(-1);
+    let largest = { id: -1, size: 0 };
+    const stack = [];
+    for (let start = 0, id = 0; start < gray.length; start++) {
+      if (gray[start] <= threshold || region[start] !== -1) {
+        continue;
+      }
+      let size = 0;
+      region[start] = id;
+      stack.push(start);
+      while (stack.length > 0) {
+        const index = stack.pop();
+        size++;
+        const x = index % width;
+        const neighbours = [
+          x > 0 ? index - 1 : -1,
+          x < width - 1 ? index + 1 : -1,
+          index - width,
+          index + width
+        ];
+        neighbours.forEach((next) => {
+          if (next >= 0 && next < gray.length && region[next] === -1 && gray[next] > threshold) {
+            region[next] = id;
+            stack.push(next);
+          }
+        });
+      }
+      if (size > largest.size) {
+        largest = { id, size };
+      }
+      id++;
+    }
+
+    const area = largest.size / gray.length;
+    if (area < MIN_PAGE_AREA || area > MAX_PAGE_AREA) {
+      return null;
+    }
+
+    let topLeft, topRight, bottomRight, bottomLeft;
+    for (let index = 0; index < gray.length; index++) {
+      if (region[index] !== largest.id) {
+        continue;
+      }
+      const point = { x: index % width, y: Math.floor(index / width) };
+      if (!topLeft || point.x + point.y < topLeft.x + topLeft.y) topLeft = point;
+      if (!bottomRight || point.x + point.y > bottomRight.x + bottomRight.y) bottomRight = point;
+      if (!topRight || point.x - point.y > topRight.x - topRight.y) topRight = point;
+      if (!bottomLeft || point.x - point.y < bottomLeft.x - bottomLeft.y) bottomLeft = point;
+    }
+
+    // A page is a quadrilateral; anything else (e.g. a bright wall) fills its corners poorly
+    const corners = [topLeft, topRight, bottomRight, bottomLeft];
+    const quadArea = Math.abs(corners.reduce((sum, point, i) => {
+      const next = corners[(i + 1) % 4];
+      return sum + point.x * next.y - next.x * point.y;
+    }, 0)) / 2;
+    if (quadArea === 0 || largest.size / quadArea < MIN_PAGE_FILL) {
+      return null;
+    }
+
+    return corners.map((point) => ({ x: (point.x + 0.5) / scale, y: (point.y + 0.5) / scale }));
+  }
+
+  /**
+   * Map a quadrilateral of a canvas onto an upright rectangle
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @param {Array<object>} corners - Corners from findPage()
+   * @returns {HTMLCanvasElement} Rectified page
+   * @private
+   */
+  warpPerspective(canvas, corners) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const output = createCanvas(
+      Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight)),
+      Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight))
+    );
+    const { width, height } = output;
+
+    // Homography from output pixels to source pixels
+    const targets = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+    const h = solve(targets.flatMap(({ x: u, y: v }, i) => [
+      [u, v, 1, 0, 0, 0, -u * corners[i].x, -v * corners[i].x, corners[i].x],
+      [0, 0, 0, u, v, 1, -u * corners[i].y, -v * corners[i].y, corners[i].y]
+    ]));
+
+    const source = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const context = output.getContext('2d');
+    const result = context.createImageData(width, height);
+    for (let v = 0; v < height; v++) {
+      for (let u = 0; u < width; u++) {
+        const w = h[6] * u + h[7] * v + 1;
+        const x = Math.min(Math.max((h[0] * u + h[1] * v + h[2]) / w, 0), canvas.width - 1);
+        const y = Math.min(Math.max((h[3] * u + h[4] * v + h[5]) / w, 0), canvas.height - 1);
+        // Bilinear sampling
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const x1 = Math.min(x0 + 1, canvas.width - 1);
+        const y1 = Math.min(y0 + 1, canvas.height - 1);
+        const fx = x - x0;
+        const fy = y - y0;
+        const topLeft = (y0 * canvas.width + x0) * 4;
+        const topRight = (y0 * canvas.width + x1) * 4;
+        const bottomLeft = (y1 * canvas.width + x0) * 4;
+        const bottomRight = (y1 * canvas.width + x1) * 4;
+        const target = (v * width + u) * 4;
+        for (let channel = 0; channel < 4; channel++) {
+          result.data[target + channel] =
+            (source.data[topLeft + channel] * (1 - fx) + source.data[topRight + channel] * fx) * (1 - fy) +
+            (source.data[bottomLeft + channel] * (1 - fx) + source.data[bottomRight + channel] * fx) * fy;
+        }
+      }
+    }
+    context.putImageData(result, 0, 0);
+    return output;
+  }
+
+  /**
+   * Find the dark pixels (text and ruled lines) of a canvas
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @returns {object} { mask, width, height, xs, ys } with 1 for dark pixels in the mask
+   *   and the coordinates of up to SKEW_SAMPLES of them
+   * @private
+   */
+  getDarkPixels(canvas) {
+    const { gray, width, height } = this.getLuminance(canvas, TEXT_ANALYSIS_SIZE);
+    const threshold = otsuThreshold(gray);
+    const mask = gray.map((value) => (value <= threshold ? 1 : 0));
+    const count = mask.reduce((sum, value) => sum + value, 0);
+
+    const step = Math.max(1, Math.floor(count / SKEW_SAMPLES));
+    const xs = [];
+    const ys = [];
+    for (let index = 0, seen = 0; index < mask.length; index++) {
+      if (mask[index] && seen++ % step === 0) {
+        xs.push(index % width);
+        ys.push(Math.floor(index / width));
+      }
+    }
+    return { mask, width, height, xs, ys };
+  }
+
+  /**
+   * Find the angle at which the text lines line up
+   * Projects the dark pixels along candidate angles: at the right one the lines pile up
+   * into few full rows, so the profile is at its most uneven
+   * @param {object} pixels - Dark pixels from getDarkPixels()
+   * @param {boolean} [sideways] - Look for lines running top to bottom instead
+   * @returns {object} { angle, unevenness, level } with the best angle in degrees (positive
+   *   when lines fall to the right), the profile's unevenness there and at 0°
+   * @private
+   */
+  findTextAngle({ xs, ys, width, height }, sideways = false) {
+    const along = sideways ? height : width;
+    const across = sideways ? width : height;
+    // Projected positions range from -along * sin to across + along * sin
+    const bins = new Int32Array(across + 2 * along + 2);
+
+    // Squared coefficient of variation of the profile
+    const unevenness = (degrees) => {
+      const radians = (degrees * Math.PI) / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      bins.fill(0);
+      for (let i = 0; i < xs.length; i++) {
+        const position = sideways ? xs[i] * cos - ys[i] * sin : ys[i] * cos - xs[i] * sin;
+        bins[Math.round(position) + along]++;
+      }
+      return (across * bins.reduce((sum, count) => sum + count * count, 0)) / xs.length ** 2 - 1;
+    };
+
+    const level = unevenness(0);
+    let best = { angle: 0, unevenness: level };
+    const search = (from, to, by) => {
+      for (let angle = from; angle <= to + 1e-9; angle += by) {
+        const value = unevenness(angle);
+        if (value > best.unevenness) {
+          best = { angle, unevenness: value };
+        }
+      }
+    };
+    search(-MAX_SKEW, MAX_SKEW, SKEW_STEP);
+    search(best.angle - SKEW_STEP, best.angle + SKEW_STEP, FINE_SKEW_STEP);
+    return { ...best, level };
+  }
+
+  /**
+   * Detect a page that is sideways or upside down
+   * Text lines make the profile across them far more uneven than the profile along
+   * them, even when skewed. Which way up the text is comes from the margins: lines
+   * start at an even left margin and end raggedly.
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @returns {number} Clockwise rotation that makes the page upright: 0, 90, 180 or 270
+   * @private
+   */
+  detectRotation(canvas) {
+    const pixels = this.getDarkPixels(canvas);
+    if (pixels.xs.length === 0) {
+      return 0;
+    }
+
+    const { width, height } = pixels;
+    let mask = { data: pixels.mask, width, height };
+    let rotation = 0;
+    if (this.findTextAngle(pixels, true).unevenness > this.findTextAngle(pixels).unevenness * ROTATION_RATIO) {
+      // Turn the mask a quarter clockwise; the margins then tell whether that was right
+      const turned = new Uint8ClampedArray(mask.data.length);
+      mask.data.forEach((value, index) => {
+        const x = index % width;
+        const y = Math.floor(index / width);
+        turned[x * height + (height - 1 - y)] = value;
+      });
+      mask = { data: turned, width: height, height: width };
+      rotation = 90;
+    }
+
+    return this.isRightAligned(mask) ? (rotation + 180) % 360 : rotation;
+  }
+
+  /**
+   * Check if the text of a mask is aligned on the right rather than the left
+   * @param {object} mask - { data, width, height } with 1 for dark pixels
+   * @returns {boolean} True if the right ends of the text rows are much more even
+   * @private
+   */
+  isRightAligned({ data, width, height }) {
+    const starts = [];
+    const ends = [];
+    for (let y = 0; y < height; y++) {
+      const row = data.subarray(y * width, (y + 1) * width);
+      if (row.reduce((sum, value) => sum + value, 0) < width * 0.02) {
+        continue;
+      }
+      starts.push(row.indexOf(1));
+      ends.push(row.lastIndexOf(1));
+    }
+    if (starts.length < 5) {
+      return false;
+    }
+    return medianDeviation(ends) * 2 < medianDeviation(starts);
+  }
+
+  /**
+   * Detect the skew of the text lines
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @returns {number} Skew in degrees (positive when lines fall to the right), 0 if none
+   * @private
+   */
+  detectSkew(canvas) {
+    const pixels = this.getDarkPixels(canvas);
+    if (pixels.xs.length === 0) {
+      return 0;
+    }
+
+    const { angle, unevenness, level } = this.findTextAngle(pixels);
+    // Pages without clear text lines are about as uneven at every angle
+    if (Math.abs(angle) < MIN_SKEW || unevenness < level * 1.05) {
+      return 0;
+    }
+    return angle;
+  }
+
+  /**
+   * Rotate a canvas clockwise, growing it to fit and filling the corners with white
+   * @param {HTMLCanvasElement} canvas - Canvas
+   * @param {number} degrees - Clockwise angle
+   * @returns {HTMLCanvasElement} Rotated canvas
+   * @private
+   */
+  rotate(canvas, degrees) {
+    const radians = (degrees * Math.PI) / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const output = createCanvas(canvas.width * cos + canvas.height * sin, canvas.width * sin + canvas.height * cos);
+    const context = output.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, output.width, output.height);
+    context.translate(output.width / 2, output.height / 2);
+    context.rotate(radians);
+    context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    return output;
+  }
+
+  /**
+   * Convert pixels to grayscale in place
+   * @param {ImageData} imageData - Pixels
+   * @private
+   */
+  toGrayscale({ data }) {
+    for (let i = 0; i < data.length; i += 4) {
+      const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+      data[i] = data[i + 1] = data[i + 2] = luminance;
+    }
+  }
+
+  /**
+   * Stretch the brightness range so the darkest 1% turns black and the brightest 1% white
+   * @param {ImageData} imageData - Pixels, changed in place
+   * @returns {boolean} True if the image was changed
+   * @private
+   */
+  stretchContrast({ data }) {
+    const histogram = new Array(256).fill(0);
+    for (let i = 0; i < data.length; i += 4) {
+      histogram[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+    }
+
+    const pixels = data.length / 4;
+    const percentile = (fraction) => {
+      let count = 0;
+      return histogram.findIndex((value) => (count += value) >= pixels * fraction);
+    };
+    const low = percentile(0.01);
+    const high = percentile(0.99);
+    // Already full range, or a flat image that stretching would only add noise to
+    if ((low <= 5 && high >= 250) || high - low < 32) {
+      return false;
+    }
+
+    const factor = 255 / (high - low);
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = (data[i] - low) * factor;
+      data[i + 1] = (data[i + 1] - low) * factor;
+      data[i + 2] = (data[i + 2] - low) * factor;
+    }
+    return true;
+  }
+
+  /**
+   * Turn pixels black or white in place
+   * Uses a local threshold (the mean of the surrounding window, less 15%) so shadows
+   * across a photographed page don't turn whole areas black
+   * @param {ImageData} imageData - Pixels
+   * @private
+   */
+  binarize({ data, width, height }) {
+    const gray = new Uint8ClampedArray(width * height);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+
+    // Summed-area table with a zero row and column, for window means in constant time
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      for (let x = 0; x < width; x++) {
+        rowSum += gray[y * width + x];
+        integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+      }
+    }
+
+    const radius = Math.max(8, Math.round(width / 32));
+    for (let y = 0; y < height; y++) {
+      const top = Math.max(0, y - radius);
+      const bottom = Math.min(height, y + radius + 1);
+      for (let x = 0; x < width; x++) {
+        const left = Math.max(0, x - radius);
+        const right = Math.min(width, x + radius + 1);
+        const sum = integral[bottom * stride + right] - integral[top * stride + right]
+          - integral[bottom * stride + left] + integral[top * stride + left];
+        const count = (bottom - top) * (right - left);
+        const value = gray[y * width + x] * count <= sum * 0.85 ? 0 : 255;
+        const i = (y * width + x) * 4;
+        data[i] = data[i + 1] = data[i + 2] = value;
+      }
+    }
+  }
+}
+
+export default new PreprocessingService();
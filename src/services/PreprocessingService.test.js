@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import PreprocessingService from './PreprocessingService';
+
+// A wide box in the top left quarter of the page
+const BOX = { x: 0.1, y: 0.2, width: 0.3, height: 0.05 };
+
+const expectBox = (actual, expected) => {
+  expect(actual).not.toBeNull();
+  Object.entries(expected).forEach(([key, value]) => expect(actual[key]).toBeCloseTo(value));
+};
+
+describe('PreprocessingService.mapBox', () => {
+  it('leaves the box alone without an edit', () => {
+    expect(PreprocessingService.mapBox(BOX, {})).toEqual(BOX);
+  });
+
+  it('moves the box with each quarter turn clockwise', () => {
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: 90 }), { x: 0.75, y: 0.1, width: 0.05, height: 0.3 });
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: 180 }), { x: 0.6, y: 0.75, width: 0.3, height: 0.05 });
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: 270 }), { x: 0.2, y: 0.6, width: 0.05, height: 0.3 });
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: 360 }), BOX);
+  });
+
+  it('treats counterclockwise and repeated turns like their clockwise equivalent', () => {
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: -90 }), { x: 0.2, y: 0.6, width: 0.05, height: 0.3 });
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: 450 }), { x: 0.75, y: 0.1, width: 0.05, height: 0.3 });
+  });
+
+  it('crops in the coordinates of the rotated page', () => {
+    const crop = { x: 0.5, y: 0, width: 0.5, height: 0.5 };
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: 90, crop }), { x: 0.5, y: 0.2, width: 0.1, height: 0.6 });
+    // Inside this crop before the turn, outside after it
+    expect(PreprocessingService.mapBox(BOX, { rotation: 90, crop: { x: 0, y: 0, width: 0.5, height: 0.5 } })).toBeNull();
+  });
+
+  it('clips a box the crop cuts through after a rotation', () => {
+    const crop = { x: 0.5, y: 0, width: 0.5, height: 0.25 };
+    expectBox(PreprocessingService.mapBox(BOX, { rotation: 90, crop }), { x: 0.5, y: 0.4, width: 0.1, height: 0.6 });
+  });
+
+  it('drops a box that only touches the crop edge', () => {
+    expect(PreprocessingService.mapBox(BOX, { crop: { x: 0.4, y: 0, width: 0.6, height: 1 } })).toBeNull();
+  });
+});
+
+describe('PreprocessingService.mapBoxes', () => {
+  const edit = { rotation: 180, crop: { x: 0.5, y: 0.5, width: 0.5, height: 0.5 } };
+
+  it('drops items cropped away and keeps items without a box', () => {
+    const items = [
+      { label: 'Kept', boundingBox: BOX },
+      { label: 'Cropped', boundingBox: { x: 0.8, y: 0.8, width: 0.1, height: 0.1 } },
+      { label: 'No box', boundingBox: null }
+    ];
+
+    const mapped = PreprocessingService.mapBoxes(items, edit);
+
+    expect(mapped.map((item) => item.label)).toEqual(['Kept', 'No box']);
+    expectBox(mapped[0].boundingBox, { x: 0.2, y: 0.5, width: 0.6, height: 0.1 });
+    expect(items[0].boundingBox).toBe(BOX);
+  });
+
+  it('maps the box under another key', () => {
+    const [word] = PreprocessingService.mapBoxes([{ text: 'Name', box: BOX }], { rotation: 90 }, 'box');
+    expectBox(word.box, { x: 0.75, y: 0.1, width: 0.05, height: 0.3 });
+  });
+
+  it('returns the items unchanged without an edit', () => {
+    const items = [{ label: 'Name', boundingBox: BOX }];
+    expect(PreprocessingService.mapBoxes(items, null)).toBe(items);
+  });
+});
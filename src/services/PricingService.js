@@ -0,0 +1,103 @@
+/**
+ * Default prices in USD per million tokens, keyed by model name prefix
+ * Longer prefixes win, so dated model versions match their family
+ */
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+/**
+ * PricingService - Estimates the cost of AI requests from token usage
+ * Prices can be overridden with VITE_MODEL_PRICES, a JSON object like
+ * {"gpt-4o": {"input": 2.5, "output": 10}} (USD per million tokens)
+ */
+class PricingService {
+  constructor() {
+    this.prices = { ...DEFAULT_PRICES, ...this.loadPriceOverrides() };
+  }
+
+  /**
+   * Read price overrides from the environment
+   * @returns {object} Model prefix -> { input, output }
+   * @private
+   */
+  loadPriceOverrides() {
+    const overrides = import.meta.env.VITE_MODEL_PRICES;
+    if (!overrides) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(overrides);
+    } catch (error) {
+      console.error('Invalid VITE_MODEL_PRICES, using default prices:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Set the price of a model
+   * @param {string} model - Model name or prefix
+   * @param {object} price - { input, output } in USD per million tokens
+   */
+  setPrice(model, price) {
+    this.prices[model] = price;
+  }
+
+  /**
+   * Get the price of a model
+   * @param {string} model - Model name
+   * @returns {object|null} { input, output } in USD per million tokens, or null if unknown
+   */
+  getPrice(model) {
+    if (!model) {
+      return null;
+    }
+
+    const prefix = Object.keys(this.prices)
+      .filter((key) => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Estimate the cost of a request
+   * @param {string} model - Model name
+   * @param {object} usage - { inputTokens, outputTokens }
+   * @returns {number|null} Cost in USD, or null if the model has no price
+   */
+  estimateCost(model, usage) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return null;
+    }
+
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Sum several usage records
+   * @param {Array<object>} usages - Usage records { inputTokens, outputTokens, cost }
+   * @returns {object} Combined usage
+   */
+  sumUsage(usages) {
+    return usages.filter(Boolean).reduce((total, usage) => ({
+      inputTokens: total.inputTokens + (usage.inputTokens || 0),
+      outputTokens: total.outputTokens + (usage.outputTokens || 0),
+      cost: total.cost + (usage.cost || 0)
+    }), { inputTokens: 0, outputTokens: 0, cost: 0 });
+  }
+}
+
+export default new PricingService();
@@ -1,21 +1,29 @@
 /**
- * PromptService - Centralized prompt management for all AI providers
- * Manages prompts for form extraction
+ * Field types the extraction prompt and schema allow
  */
-class PromptService {
-  /**
-   * Get the main fields extraction prompt
-   * @returns {string} Fields extraction prompt
-   */
-  getFieldsExtractionPrompt() {
-    return `Analyze this form image and extract ALL form fields, including both filled and empty fields. 
+export const FIELD_TYPES = ['text', 'number', 'date', 'email', 'phone', 'checkbox', 'radio', 'select', 'textarea'];
+
+/**
+ * Page kinds the classification prompt can report; only 'form' pages have fields
+ */
+export const PAGE_TYPES = ['form', 'cover', 'instructions', 'blank'];
+
+/**
+ * How a page was filled in
+ */
+export const WRITING_STYLES = ['typed', 'handwritten', 'mixed'];
+
+/**
+ * Base extraction prompt of the built-in version; edited wordings are saved as new versions
+ */
+const DEFAULT_FIELDS_PROMPT = `Analyze this form image and extract ALL form fields, including both filled and empty fields. 
 Return the data as a JSON object with the following structure:
 {
   "fields": [
     {
       "label": "field name",
       "value": "field value or empty string if blank",
-      "type": "text|number|date|email|phone|checkbox|radio|select|textarea",
+      "type": "${FIELD_TYPES.join('|')}",
       "confidence": 0.0-1.0,
       "boundingBox": {
         "x": 0.0-1.0,
@@ -44,6 +52,359 @@ Guidelines:
 - The bounding box should encompass the entire field (label + input area)
 - IMPORTANT: x and y are the TOP-LEFT corner coordinates, NOT center point
 - Example: A field at top-left corner spanning 30% width and 5% height would be: {"x": 0.0, "y": 0.0, "width": 0.3, "height": 0.05}`;
+
+const VERSIONS_STORAGE_KEY = 'prompt-versions';
+const ACTIVE_VERSION_STORAGE_KEY = 'active-prompt-version';
+const COUNTERS_STORAGE_KEY = 'prompt-version-counters';
+
+/**
+ * Built-in prompt version, always available and never stored
+ */
+const DEFAULT_VERSION = {
+  id: 'default@1',
+  name: 'Default',
+  version: 1,
+  text: DEFAULT_FIELDS_PROMPT,
+  builtIn: true
+};
+
+/**
+ * PromptService - Centralized prompt management for all AI providers
+ * Manages prompts and the output schema for form extraction
+ *
+ * Providers run "tasks": { name, label, description, prompt, schema, maxTokens }
+ * bundles of a prompt and the JSON schema its answer must follow.
+ *
+ * The base extraction prompt is versioned: edited wordings are saved in the app as
+ * named versions ({ id, name, version, text }) so results can be traced back to,
+ * and compared between, the prompts that produced them.
+ */
+class PromptService {
+  constructor() {
+    this.versions = this.loadVersions();
+    this.counters = this.loadCounters(); // Slug -> last version number given out, deleted ones included
+    this.activeVersionId = localStorage.getItem(ACTIVE_VERSION_STORAGE_KEY) || DEFAULT_VERSION.id;
+  }
+
+  /**
+   * Load the prompt versions saved in the app
+   * @returns {Array<object>} Saved versions
+   * @private
+   */
+  loadVersions() {
+    try {
+      const versions = JSON.parse(localStorage.getItem(VERSIONS_STORAGE_KEY));
+      return Array.isArray(versions) ? versions : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Load the last version number given out per prompt name
+   * @returns {object} Slug -> version number
+   * @private
+   */
+  loadCounters() {
+    try {
+      const counters = JSON.parse(localStorage.getItem(COUNTERS_STORAGE_KEY));
+      return counters && typeof counters === 'object' ? counters : {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Get all prompt versions, built-in first
+   * @returns {Array<object>} Versions ({ id, name, version, text, builtIn, createdAt })
+   */
+  getPromptVersions() {
+    return [DEFAULT_VERSION, ...this.versions];
+  }
+
+  /**
+   * Get a prompt version by ID
+   * @param {string} id - Version ID
+   * @returns {object|null} Version
+   */
+  getPromptVersion(id) {
+    return this.getPromptVersions().find((version) => version.id === id) || null;
+  }
+
+  /**
+   * Get the version used for new extractions
+   * @returns {object} Active version (the built-in one if the active version was deleted)
+   */
+  getActiveVersion() {
+    return this.getPromptVersion(this.activeVersionId) || DEFAULT_VERSION;
+  }
+
+  /**
+   * Use a prompt version for new extractions
+   * @param {string} id - Version ID
+   */
+  setActiveVersion(id) {
+    if (!this.getPromptVersion(id)) {
+      throw new Error(`Prompt version ${id} not found`);
+    }
+    this.activeVersionId = id;
+    localStorage.setItem(ACTIVE_VERSION_STORAGE_KEY, id);
+  }
+
+  /**
+   * Save a prompt wording as the next version of a name
+   * Versions are never edited in place and their IDs are never reused, even after a
+   * delete, so recorded results keep pointing at the text that produced them
+   * @param {string} name - Prompt name, e.g. "Default" or "Strict dates"
+   * @param {string} text - Base extraction prompt
+   * @returns {object} New version
+   */
+  savePromptVersion(name, text) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName || !String(text || '').trim()) {
+      throw new Error('A prompt version needs a name and a prompt');
+    }
+
+    const slug = trimmedName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'prompt';
+    const latest = Math.max(this.counters[slug] || 0, ...this.getPromptVersions()
+      .filter((version) => version.id.startsWith(`${slug}@`))
+      .map((version) => version.version));
+    const version = {
+      id: `${slug}@${latest + 1}`,
+      name: trimmedName,
+      version: latest + 1,
+      text,
+      createdAt: new Date().toISOString()
+    };
+
+    this.versions = [...this.versions, version];
+    this.counters = { ...this.counters, [slug]: version.version };
+    localStorage.setItem(VERSIONS_STORAGE_KEY, JSON.stringify(this.versions));
+    localStorage.setItem(COUNTERS_STORAGE_KEY, JSON.stringify(this.counters));
+    return version;
+  }
+
+  /**
+   * Delete a saved prompt version; the built-in version can't be deleted
+   * @param {string} id - Version ID
+   */
+  deletePromptVersion(id) {
+    if (id === DEFAULT_VERSION.id) {
+      throw new Error('The built-in prompt version cannot be deleted');
+    }
+    this.versions = this.versions.filter((version) => version.id !== id);
+    localStorage.setItem(VERSIONS_STORAGE_KEY, JSON.stringify(this.versions));
+    if (this.activeVersionId === id) {
+      this.setActiveVersion(DEFAULT_VERSION.id);
+    }
+  }
+
+  /**
+   * Get the display name of a prompt version
+   * @param {object} version - Version
+   * @returns {string} e.g. "Default v1"
+   */
+  getVersionLabel(version) {
+    return `${version.name} v${version.version}`;
+  }
+
+  /**
+   * Get the field extraction task
+   * @param {object} [context] - What is known about the page
+   * @param {object} [context.template] - Document template from TemplateService
+   * @param {object} [context.classification] - Page classification from the first pass
+   * @param {string} [context.promptVersion] - Prompt version ID (the active version by default)
+   * @param {Array<object>} [context.examples] - Reviewer corrections from CorrectionService
+   * @returns {object} Task, with the ID of the prompt version it uses
+   */
+  getExtractionTask({ template = null, classification = null, promptVersion = null, examples = [] } = {}) {
+    const version = this.getPromptVersion(promptVersion) || this.getActiveVersion();
+    return {
+      name: 'form_fields',
+      label: 'form extraction',
+      description: 'Record every field extracted from the form',
+      prompt: this.getFieldsExtractionPrompt(template, version.id)
+        + (examples.length > 0 ? this.getExamplesPrompt(examples) : '')
+        + (classification ? this.getPageHints(classification) : ''),
+      schema: this.getFieldsSchema(),
+      promptVersion: version.id
+    };
+  }
+
+  /**
+   * Get the page classification task
+   * Short answer, so it is capped at a small token budget
+   * @param {Array<object>} [templates] - Document templates the page may be
+   * @returns {object} Task
+   */
+  getClassificationTask(templates = []) {
+    return {
+      name: 'page_classification',
+      label: 'page classification',
+      description: 'Record the classification of the page',
+      prompt: this.getClassificationPrompt(templates),
+      schema: this.getClassificationSchema(templates),
+      maxTokens: 256
+    };
+  }
+
+  /**
+   * Get the main fields extraction prompt
+   * @param {object} [template] - Document template from TemplateService; adds its
+   *   instructions and expected fields
+   * @param {string} [versionId] - Prompt version ID (the active version by default)
+   * @returns {string} Fields extraction prompt
+   */
+  getFieldsExtractionPrompt(template = null, versionId = null) {
+    const { text } = this.getPromptVersion(versionId) || this.getActiveVersion();
+    return `${text}${template ? this.getTemplatePrompt(template) : ''}`;
+  }
+
+  /**
+   * Get the document-specific part of the extraction prompt
+   * @param {object} template - Document template
+   * @returns {string} Prompt addendum
+   * @private
+   */
+  getTemplatePrompt(template) {
+    const expectedFields = template.fields.map((field) => `- ${field.label} (${field.type})`).join('\n');
+    return `
+
+Document type: ${template.name}
+${template.prompt ? `${template.prompt}\n` : ''}Expected fields - use exactly these labels when the field is present, and still extract any other fields you find:
+${expectedFields}`;
+  }
+
+  /**
+   * Get few-shot examples from reviewer corrections
+   * @param {Array<object>} examples - Corrections ({ original, corrected }) of earlier forms
+   * @returns {string} Prompt addendum
+   * @private
+   */
+  getExamplesPrompt(examples) {
+    const quote = (text) => JSON.stringify(String(text ?? '').slice(0, 200));
+    const lines = examples.map(({ original, corrected }) => {
+      const relabelled = original.label !== corrected.label;
+      if (original.value === '' && corrected.value !== '') {
+        return `- ${quote(corrected.label)} was missed or left empty; the reviewer filled in ${quote(corrected.value)}`;
+      }
+      if (original.value === corrected.value) {
+        return `- ${quote(original.label)} should be labelled ${quote(corrected.label)}`;
+      }
+      return relabelled
+        ? `- ${quote(original.label)} read as ${quote(original.value)} should be ${quote(corrected.label)} with value ${quote(corrected.value)}`
+        : `- ${quote(corrected.label)} read as ${quote(original.value)} should be ${quote(corrected.value)}`;
+    });
+    return `
+
+Corrections a reviewer made on earlier forms of this type. Avoid repeating these mistakes, but never copy these values into this form:
+${lines.join('\n')}`;
+  }
+
+  /**
+   * Get extraction hints from the page classification
+   * @param {object} classification - { language, writing }
+   * @returns {string} Prompt addendum
+   * @private
+   */
+  getPageHints({ language, writing }) {
+    const hints = [];
+    if (language && language !== 'en') {
+      hints.push(`- The page is written in language "${language}". Keep values in the original language; labels may be translated to English.`);
+    }
+    if (writing === 'handwritten' || writing === 'mixed') {
+      hints.push('- The page contains handwriting. Read handwritten values carefully and lower the confidence of values that are hard to read.');
+    }
+    return hints.length > 0 ? `\n\nAbout this page:\n${hints.join('\n')}` : '';
+  }
+
+  /**
+   * Get the page classification prompt
+   * @param {Array<object>} templates - Document templates the page may be
+   * @returns {string} Classification prompt
+   */
+  getClassificationPrompt(templates) {
+    const documentTypes = templates.map((template) => `- ${template.key}: ${template.name}${template.description ? ` (${template.description})` : ''}`);
+    return `Classify this document page before its fields are extracted. Do not extract any fields.
+Return a JSON object with:
+- pageType: "form" if the page has fields or data to extract, "cover" for a cover or title page, "instructions" for a page with only instructions or terms, "blank" for an empty page
+- documentType: one of the keys below, or "other"
+${[...documentTypes, '- other: anything else'].join('\n')}
+- language: ISO 639-1 code of the main language of the page, e.g. "en"
+- writing: "typed", "handwritten" or "mixed", depending on how the page was filled in
+- confidence: 0.0-1.0, how sure you are about pageType`;
+  }
+
+  /**
+   * Get the JSON schema of the page classification
+   * @param {Array<object>} templates - Document templates the page may be
+   * @returns {object} JSON schema
+   */
+  getClassificationSchema(templates) {
+    return {
+      type: 'object',
+      properties: {
+        pageType: { type: 'string', enum: PAGE_TYPES },
+        documentType: { type: 'string', enum: [...templates.map((template) => template.key), 'other'] },
+        language: { type: 'string', description: 'ISO 639-1 language code' },
+        writing: { type: 'string', enum: WRITING_STYLES },
+        confidence: { type: 'number', description: 'Confidence in pageType from 0.0 to 1.0' }
+      },
+      required: ['pageType', 'documentType', 'language', 'writing', 'confidence'],
+      additionalProperties: false
+    };
+  }
+
+  /**
+   * Get the JSON schema of the extraction result
+   * Written for strict structured-output modes: every property is required and
+   * no extra properties are allowed
+   * @returns {object} JSON schema
+   */
+  getFieldsSchema() {
+    return {
+      type: 'object',
+      properties: {
+        fields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              label: { type: 'string', description: 'Field name' },
+              value: { type: 'string', description: 'Field value or empty string if blank' },
+              type: { type: 'string', enum: FIELD_TYPES },
+              confidence: { type: 'number', description: 'Confidence from 0.0 to 1.0' },
+              boundingBox: {
+                type: 'object',
+                description: 'Normalized (0.0-1.0) top-left position and size of the field',
+                properties: {
+                  x: { type: 'number' },
+                  y: { type: 'number' },
+                  width: { type: 'number' },
+                  height: { type: 'number' }
+                },
+                required: ['x', 'y', 'width', 'height'],
+                additionalProperties: false
+              }
+            },
+            required: ['label', 'value', 'type', 'confidence', 'boundingBox'],
+            additionalProperties: false
+          }
+        },
+        formTitle: { type: 'string', description: 'Detected form title or empty string' }
+      },
+      required: ['fields', 'formTitle'],
+      additionalProperties: false
+    };
+  }
+
+  /**
+   * Get the prompt asking the model to continue a truncated answer
+   * @returns {string} Continuation prompt
+   */
+  getContinuationPrompt() {
+    return `Your previous response was cut off. Continue the JSON exactly where it stopped.
+Do not repeat anything you already wrote, do not restart the object and do not add markdown or explanations.`;
   }
 }
 
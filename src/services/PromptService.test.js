@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import PromptService from './PromptService';
+
+describe('PromptService', () => {
+  it('numbers the versions of a name', () => {
+    const first = PromptService.savePromptVersion('Strict dates', 'Prompt one');
+    const second = PromptService.savePromptVersion('Strict Dates', 'Prompt two');
+    expect([first.id, second.id]).toEqual(['strict-dates@1', 'strict-dates@2']);
+  });
+
+  it('never reuses the ID of a deleted version', () => {
+    const saved = PromptService.savePromptVersion('Reused', 'Original text');
+    PromptService.deletePromptVersion(saved.id);
+
+    const next = PromptService.savePromptVersion('Reused', 'Different text');
+    expect(next.id).not.toBe(saved.id);
+    expect(next.version).toBe(saved.version + 1);
+    expect(PromptService.getPromptVersion(saved.id)).toBeNull();
+  });
+});
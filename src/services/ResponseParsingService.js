@@ -0,0 +1,138 @@
+/**
+ * ResponseParseError - Raised when an AI response can't be turned into form data
+ * Keeps the provider name and raw response for debugging
+ */
+export class ResponseParseError extends Error {
+  constructor(message, { provider, content } = {}) {
+    super(message);
+    this.name = 'ResponseParseError';
+    this.provider = provider;
+    this.content = content;
+  }
+}
+
+/**
+ * FieldStreamParser - Pulls complete field objects out of a streamed response
+ * Feed it text as it arrives; each object in the "fields" array is parsed as soon
+ * as its closing brace is seen, without waiting for the rest of the response
+ */
+export class FieldStreamParser {
+  constructor() {
+    this.text = '';
+    this.fields = [];
+    this.position = -1;     // Scan position inside the fields array (-1 = array not found yet)
+    this.depth = 0;         // Brace depth relative to the array
+    this.inString = false;
+    this.escaped = false;
+    this.objectStart = -1;
+    this.done = false;
+  }
+
+  /**
+   * Add the next chunk of response text
+   * @param {string} chunk - Text delta
+   * @returns {Array<object>} Fields completed by this chunk
+   */
+  push(chunk) {
+    if (!chunk || this.done) {
+      return [];
+    }
+    this.text += chunk;
+
+    if (this.position < 0) {
+      const arrayStart = this.text.match(/"fields"\s*:\s*\[/);
+      if (!arrayStart) {
+        return [];
+      }
+      this.position = arrayStart.index + arrayStart[0].length;
+    }
+
+    const completed = [];
+    for (; this.position < this.text.length; this.position++) {
+      const char = this.text[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+      } else if (char === '"') {
+        this.inString = true;
+      } else if (char === '{') {
+        if (this.depth === 0) {
+          this.objectStart = this.position;
+        }
+        this.depth++;
+      } else if (char === '}') {
+        this.depth--;
+        if (this.depth === 0) {
+          try {
+            completed.push(JSON.parse(this.text.slice(this.objectStart, this.position + 1)));
+          } catch {
+            // Malformed field; the final parse reports the response as a whole
+          }
+        }
+      } else if (char === ']' && this.depth === 0) {
+        this.done = true;
+        break;
+      }
+    }
+
+    this.fields.push(...completed);
+    return completed;
+  }
+}
+
+/**
+ * ResponseParsingService - Recovers JSON from free-text AI responses
+ * Providers use native structured output first; this is the fallback for
+ * models or servers that don't support it
+ */
+class ResponseParsingService {
+  /**
+   * Parse JSON from AI response text
+   * Tries the raw text, then a markdown code block, then the outermost {...} span
+   * @param {string} content - The AI response text
+   * @param {string} provider - Provider name for error messages
+   * @returns {object} Parsed JSON object
+   * @throws {ResponseParseError} When no valid JSON object is found
+   */
+  parseJson(content, provider) {
+    if (!content || !content.trim()) {
+      throw new ResponseParseError(`Empty response from ${provider}`, { provider, content });
+    }
+
+    const candidates = [content.trim()];
+
+    // JSON within markdown code blocks
+    const codeBlockMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (codeBlockMatch) {
+      candidates.push(codeBlockMatch[1].trim());
+    }
+
+    // Outermost JSON object surrounded by other text
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      candidates.push(jsonMatch[0]);
+    }
+
+    for (const candidate of candidates) {
+      try {
+        const parsed = JSON.parse(candidate);
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          return parsed;
+        }
+      } catch {
+        // Try the next candidate
+      }
+    }
+
+    console.error(`Failed to parse ${provider} response:`, content);
+    throw new ResponseParseError(`Could not parse form data from ${provider} response`, { provider, content });
+  }
+}
+
+export default new ResponseParsingService();
@@ -0,0 +1,202 @@
+import { FIELD_TYPES } from './PromptService';
+
+// A response is taken to be on a 0-100 scale when a confidence is above this
+const PERCENT_SCALE_MIN = 10;
+
+/**
+ * ResponseValidationService - Validates and normalizes fields returned by AI providers
+ * Repairs what can be repaired and records a warning for everything it changes,
+ * so reviewers see model errors instead of silent defaults
+ */
+class ResponseValidationService {
+  /**
+   * Validate every field of a raw AI response
+   * @param {object} rawData - Raw AI response { fields, formTitle }
+   * @returns {Array<object>} Normalized fields, each with a warnings array
+   */
+  validateFields(rawData) {
+    const fields = (Array.isArray(rawData?.fields) ? rawData.fields : [])
+      .filter((field, index) => {
+        if (field && typeof field === 'object' && !Array.isArray(field)) {
+          return true;
+        }
+        console.warn(`Dropped field ${index + 1}: expected an object, got`, field);
+        return false;
+      });
+    const percentScale = this.isPercentScale(fields);
+
+    return fields.map((field, index) => this.validateField(field, index, { percentScale }));
+  }
+
+  /**
+   * Check if a response gives its confidences on a 0-100 scale
+   * Only when every confidence fits that scale and one is clearly above 1,
+   * so a single 1.5 is clamped rather than read as 1.5%
+   * @param {Array<object>} fields - Raw fields
+   * @returns {boolean} True if confidences are percentages
+   * @private
+   */
+  isPercentScale(fields) {
+    const values = fields
+      .map((field) => field.confidence)
+      .filter((confidence) => typeof confidence === 'number' || (typeof confidence === 'string' && !confidence.includes('%')))
+      .map((confidence) => parseFloat(confidence))
+      .filter(Number.isFinite);
+    return values.length > 0
+      && values.every((value) => value >= 0 && value <= 100)
+      && values.some((value) => value > PERCENT_SCALE_MIN);
+  }
+
+  /**
+   * Validate and normalize a single field
+   * @param {object} field - Raw field from the AI response
+   * @param {number} index - Field position, used for the fallback label
+   * @param {object} [options] - Validation options
+   * @param {boolean} [options.percentScale] - The response gives confidences on a 0-100 scale
+   * @returns {object} { label, value, type, confidence, boundingBox, warnings, ... }; unknown types give type null
+   */
+  validateField(field, index, { percentScale = false } = {}) {
+    const warnings = [];
+
+    let label = typeof field.label === 'string' ? field.label.trim() : '';
+    if (!label) {
+      label = `Field ${index + 1}`;
+      warnings.push('Missing label');
+    }
+
+    return {
+      ...field,
+      label,
+      value: this.normalizeValue(field.value, warnings),
+      type: this.normalizeType(field.type, warnings),
+      confidence: this.normalizeConfidence(field.confidence, warnings, percentScale),
+      boundingBox: this.normalizeBoundingBox(field.boundingBox, warnings),
+      warnings
+    };
+  }
+
+  /**
+   * Coerce a field value to a string
+   * @param {*} value - Raw value
+   * @param {Array<string>} warnings - Warnings to append to
+   * @returns {string} Value
+   * @private
+   */
+  normalizeValue(value, warnings) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (typeof value === 'string') {
+      return value;
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+
+    warnings.push('Value was not text and was converted');
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Check a field type against the supported types
+   * @param {*} type - Raw type
+   * @param {Array<string>} warnings - Warnings to append to
+   * @returns {string|null} A type from FIELD_TYPES, or null for an unknown type
+   * @private
+   */
+  normalizeType(type, warnings) {
+    if (type === null || type === undefined || type === '') {
+      warnings.push('Missing type, shown as text');
+      return 'text';
+    }
+
+    const normalized = String(type).trim().toLowerCase();
+    if (FIELD_TYPES.includes(normalized)) {
+      return normalized;
+    }
+
+    warnings.push(`Unknown type "${type}" rejected`);
+    return null;
+  }
+
+  /**
+   * Coerce a confidence to a number between 0 and 1
+   * Accepts numeric strings and percentages ("85%", or 85 in a response on a 0-100 scale)
+   * @param {*} confidence - Raw confidence
+   * @param {Array<string>} warnings - Warnings to append to
+   * @param {boolean} [percentScale] - The response gives confidences on a 0-100 scale
+   * @returns {number|null} Confidence, or null when missing or unreadable
+   * @private
+   */
+  normalizeConfidence(confidence, warnings, percentScale = false) {
+    if (confidence === null || confidence === undefined || confidence === '') {
+      warnings.push('Missing confidence');
+      return null;
+    }
+
+    const isPercent = typeof confidence === 'string' && confidence.trim().endsWith('%');
+    let value = parseFloat(confidence);
+    if (!Number.isFinite(value)) {
+      warnings.push(`Invalid confidence "${confidence}"`);
+      return null;
+    }
+
+    // Some models answer on a 0-100 scale
+    if (isPercent || percentScale) {
+      value /= 100;
+      warnings.push(`Confidence ${confidence} read as a percentage`);
+    }
+
+    if (value < 0 || value > 1) {
+      warnings.push(`Confidence ${confidence} out of range, clamped`);
+      return Math.min(Math.max(value, 0), 1);
+    }
+
+    return value;
+  }
+
+  /**
+   * Clamp a normalized bounding box to the page, dropping boxes that can't be repaired
+   * @param {*} box - Raw bounding box {x, y, width, height} in 0-1 page coordinates
+   * @param {Array<string>} warnings - Warnings to append to
+   * @returns {object|null} Bounding box, or null if missing or invalid
+   * @private
+   */
+  normalizeBoundingBox(box, warnings) {
+    if (box === null || box === undefined) {
+      return null;
+    }
+
+    const values = ['x', 'y', 'width', 'height'].map((key) => (box ? parseFloat(box[key]) : NaN));
+    if (values.some((value) => !Number.isFinite(value))) {
+      warnings.push('Invalid bounding box dropped');
+      return null;
+    }
+
+    const [x, y, width, height] = values;
+    if (width <= 0 || height <= 0) {
+      warnings.push('Bounding box with zero or negative size dropped');
+      return null;
+    }
+
+    // Small overshoots from rounding aren't worth a warning
+    const tolerance = 1e-6;
+    if (x >= -tolerance && y >= -tolerance && x + width <= 1 + tolerance && y + height <= 1 + tolerance) {
+      return { x, y, width, height };
+    }
+
+    const left = Math.max(x, 0);
+    const top = Math.max(y, 0);
+    const right = Math.min(x + width, 1);
+    const bottom = Math.min(y + height, 1);
+    if (right <= left || bottom <= top) {
+      warnings.push('Bounding box outside the page dropped');
+      return null;
+    }
+
+    warnings.push('Bounding box clamped to the page');
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
+}
+
+export default new ResponseValidationService();
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import ResponseValidationService from './ResponseValidationService';
+
+const validate = (...fields) => ResponseValidationService.validateFields({
+  fields: fields.map((field, index) => ({ label: `Field ${index + 1}`, value: 'value', type: 'text', ...field }))
+});
+
+describe('ResponseValidationService', () => {
+  it('clamps a confidence slightly above 1 instead of reading it as a percentage', () => {
+    const [field] = validate({ confidence: 1.5 });
+    expect(field.confidence).toBe(1);
+    expect(field.warnings).toEqual(['Confidence 1.5 out of range, clamped']);
+  });
+
+  it('rescales a response on a 0-100 scale, with a warning', () => {
+    const fields = validate({ confidence: 85 }, { confidence: 40 });
+    expect(fields.map((field) => field.confidence)).toEqual([0.85, 0.4]);
+    expect(fields[0].warnings).toEqual(['Confidence 85 read as a percentage']);
+  });
+
+  it('rescales an explicit percentage, with a warning', () => {
+    const [field, other] = validate({ confidence: '85%' }, { confidence: 0.5 });
+    expect(field.confidence).toBe(0.85);
+    expect(field.warnings).toEqual(['Confidence 85% read as a percentage']);
+    expect(other.confidence).toBe(0.5);
+    expect(other.warnings).toEqual([]);
+  });
+
+  it('rejects unknown types', () => {
+    const [field] = validate({ type: 'signature-pad', confidence: 0.9 });
+    expect(field.type).toBeNull();
+    expect(field.warnings).toEqual(['Unknown type "signature-pad" rejected']);
+  });
+});
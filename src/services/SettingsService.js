@@ -0,0 +1,185 @@
+const SETTINGS_STORAGE_KEY = 'provider-settings';
+const KEYS_STORAGE_KEY = 'provider-keys';
+const PBKDF2_ITERATIONS = 310000;
+
+/**
+ * Encode bytes as base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decode a base64 string
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * SettingsService - Persists provider settings entered in the app
+ * Models, temperatures and token limits are stored as plain JSON. API keys are
+ * encrypted with AES-GCM using a key derived from the user's passphrase (PBKDF2),
+ * and only kept decrypted in memory while unlocked.
+ */
+class SettingsService {
+  constructor() {
+    this.cryptoKey = null; // Derived from the passphrase while unlocked
+    this.salt = null;
+    this.keys = null;      // Provider key -> API key while unlocked
+  }
+
+  /**
+   * Load the stored provider settings
+   * @returns {object} Provider key -> { model, temperature, maxTokens }
+   */
+  loadSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Store provider settings (API keys are never stored here)
+   * @param {object} settings - Provider key -> { model, temperature, maxTokens }
+   */
+  saveSettings(settings) {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  }
+
+  /**
+   * Check if encrypted API keys are stored
+   * @returns {boolean} True if a key vault exists
+   */
+  hasStoredKeys() {
+    return !!localStorage.getItem(KEYS_STORAGE_KEY);
+  }
+
+  /**
+   * Check if the API keys are decrypted
+   * @returns {boolean} True while unlocked
+   */
+  isUnlocked() {
+    return !!this.cryptoKey;
+  }
+
+  /**
+   * Derive the encryption key from a passphrase
+   * @param {string} passphrase - User passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   * @private
+   */
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Decrypt the stored API keys, or start a new vault if none exist
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<object>} Provider key -> API key
+   * @throws {Error} When the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    if (!crypto?.subtle) {
+      throw new Error('Encrypted key storage needs a secure context (HTTPS or localhost)');
+    }
+    if (!passphrase) {
+      throw new Error('Enter a passphrase');
+    }
+
+    const stored = localStorage.getItem(KEYS_STORAGE_KEY);
+    if (!stored) {
+      this.salt = crypto.getRandomValues(new Uint8Array(16));
+      this.cryptoKey = await this.deriveKey(passphrase, this.salt);
+      this.keys = {};
+      return { ...this.keys };
+    }
+
+    const { salt, iv, data } = JSON.parse(stored);
+    const cryptoKey = await this.deriveKey(passphrase, fromBase64(salt));
+    let decrypted;
+    try {
+      decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, cryptoKey, fromBase64(data));
+    } catch {
+      // AES-GCM fails authentication when the key is wrong
+      throw new Error('Wrong passphrase');
+    }
+
+    this.salt = fromBase64(salt);
+    this.cryptoKey = cryptoKey;
+    this.keys = JSON.parse(new TextDecoder().decode(decrypted));
+    return { ...this.keys };
+  }
+
+  /**
+   * Forget the decrypted keys and the derived encryption key
+   */
+  lock() {
+    this.cryptoKey = null;
+    this.salt = null;
+    this.keys = null;
+  }
+
+  /**
+   * Get the decrypted API keys
+   * @returns {object} Provider key -> API key (empty while locked)
+   */
+  getKeys() {
+    return { ...this.keys };
+  }
+
+  /**
+   * Encrypt and store API keys; requires unlock() first
+   * @param {object} keys - Provider key -> API key (empty keys are removed)
+   * @returns {Promise<void>}
+   */
+  async saveKeys(keys) {
+    if (!this.isUnlocked()) {
+      throw new Error('Unlock the saved keys before changing them');
+    }
+
+    this.keys = Object.fromEntries(Object.entries(keys).filter(([, key]) => key));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.cryptoKey,
+      new TextEncoder().encode(JSON.stringify(this.keys))
+    );
+
+    localStorage.setItem(KEYS_STORAGE_KEY, JSON.stringify({
+      salt: toBase64(this.salt),
+      iv: toBase64(iv),
+      data: toBase64(data)
+    }));
+  }
+
+  /**
+   * Delete the stored API keys
+   */
+  clearKeys() {
+    localStorage.removeItem(KEYS_STORAGE_KEY);
+    this.lock();
+  }
+}
+
+export default new SettingsService();
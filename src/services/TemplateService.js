@@ -0,0 +1,263 @@
+/**
+ * Built-in document templates
+ * Each template has a prompt addendum, keywords used for auto-detection and the
+ * fields the document is expected to have. Extracted labels matching a field's
+ * label or one of its aliases are renamed to the field's label.
+ */
+const BUILT_IN_TEMPLATES = {
+  invoice: {
+    name: 'Invoice',
+    icon: '🧾',
+    description: 'Supplier invoices and bills',
+    keywords: ['invoice', 'bill to', 'amount due', 'remit to'],
+    prompt: `Write dates as YYYY-MM-DD and money amounts as plain numbers without currency symbols or thousands separators.
+Extract the vendor and customer as written, including the full address if shown. Ignore line items unless they are laid out as form fields.`,
+    fields: [
+      { label: 'Invoice Number', type: 'text', aliases: ['invoice no', 'invoice #', 'invoice id', 'inv no'] },
+      { label: 'Invoice Date', type: 'date', aliases: ['date of invoice', 'issue date', 'invoice dt'] },
+      { label: 'Due Date', type: 'date', aliases: ['payment due', 'payment due date', 'date due'] },
+      { label: 'Vendor Name', type: 'text', aliases: ['vendor', 'supplier', 'seller', 'from', 'company name'] },
+      { label: 'Bill To', type: 'textarea', aliases: ['billed to', 'customer', 'sold to', 'invoice to'] },
+      { label: 'PO Number', type: 'text', aliases: ['po', 'po #', 'purchase order', 'purchase order number'] },
+      { label: 'Subtotal', type: 'number', aliases: ['sub total', 'net amount'] },
+      { label: 'Tax', type: 'number', aliases: ['tax amount', 'sales tax', 'vat', 'gst'] },
+      { label: 'Total Amount', type: 'number', aliases: ['total', 'amount due', 'balance due', 'grand total', 'total due'] }
+    ]
+  },
+  w9: {
+    name: 'W-9',
+    icon: '🏛️',
+    description: 'IRS Form W-9 (Request for Taxpayer Identification Number)',
+    keywords: ['w-9', 'w9', 'taxpayer identification number', 'request for taxpayer'],
+    prompt: `This is IRS Form W-9. Use the line captions as labels without the line numbers.
+For the federal tax classification, return the checked box as the value. Write the SSN as XXX-XX-XXXX and the EIN as XX-XXXXXXX.`,
+    fields: [
+      { label: 'Name', type: 'text', aliases: ['name as shown on your income tax return', 'name of entity individual'] },
+      { label: 'Business Name', type: 'text', aliases: ['business name disregarded entity name', 'business name disregarded entity name if different from above'] },
+      { label: 'Federal Tax Classification', type: 'select', aliases: ['tax classification', 'federal tax classification of the person whose name is entered on line 1'] },
+      { label: 'Exempt Payee Code', type: 'text', aliases: ['exempt payee code if any', 'exemptions'] },
+      { label: 'Address', type: 'text', aliases: ['address number street and apt or suite no', 'street address'] },
+      { label: 'City, State, and ZIP Code', type: 'text', aliases: ['city state and zip code', 'city state zip'] },
+      { label: 'Account Numbers', type: 'text', aliases: ['list account numbers here', 'list account number s here'] },
+      { label: 'Social Security Number', type: 'text', aliases: ['ssn', 'social security no'] },
+      { label: 'Employer Identification Number', type: 'text', aliases: ['ein', 'employer id number'] },
+      { label: 'Signature', type: 'text', aliases: ['signature of us person', 'signature of u s person'] },
+      { label: 'Date', type: 'date', aliases: ['date signed'] }
+    ]
+  },
+  'insurance-claim': {
+    name: 'Insurance Claim',
+    icon: '🛡️',
+    description: 'Property, auto and health insurance claim forms',
+    keywords: ['claim', 'policyholder', 'date of loss', 'insured'],
+    prompt: `Write dates as YYYY-MM-DD and money amounts as plain numbers without currency symbols.
+Keep the description of the loss or incident as one field with the full text.`,
+    fields: [
+      { label: 'Policy Number', type: 'text', aliases: ['policy no', 'policy #', 'policy id'] },
+      { label: 'Claim Number', type: 'text', aliases: ['claim no', 'claim #', 'claim id'] },
+      { label: 'Policyholder Name', type: 'text', aliases: ['policyholder', 'insured name', 'name of insured', 'insured'] },
+      { label: 'Date of Loss', type: 'date', aliases: ['loss date', 'date of incident', 'incident date', 'date of accident'] },
+      { label: 'Description of Loss', type: 'textarea', aliases: ['description of incident', 'incident description', 'loss description', 'description of accident'] },
+      { label: 'Claim Amount', type: 'number', aliases: ['amount claimed', 'estimated loss', 'estimated amount', 'total claimed'] },
+      { label: 'Phone Number', type: 'phone', aliases: ['phone', 'telephone', 'contact number'] },
+      { label: 'Email', type: 'email', aliases: ['email address', 'e mail'] },
+      { label: 'Signature', type: 'text', aliases: ['signature of insured', 'claimant signature'] },
+      { label: 'Date Signed', type: 'date', aliases: ['signature date'] }
+    ]
+  },
+  'intake-form': {
+    name: 'Intake Form',
+    icon: '🩺',
+    description: 'Patient and client intake forms',
+    keywords: ['intake', 'patient', 'new patient', 'medical history', 'registration'],
+    prompt: `Write dates as YYYY-MM-DD. List multiple allergies or medications in one field, separated by commas.
+For yes/no questions, use "checked" or "unchecked" for the box that applies.`,
+    fields: [
+      { label: 'Full Name', type: 'text', aliases: ['name', 'patient name', 'client name'] },
+      { label: 'Date of Birth', type: 'date', aliases: ['dob', 'birth date', 'birthdate'] },
+      { label: 'Gender', type: 'select', aliases: ['sex'] },
+      { label: 'Address', type: 'text', aliases: ['home address', 'street address', 'mailing address'] },
+      { label: 'Phone Number', type: 'phone', aliases: ['phone', 'telephone', 'cell phone', 'mobile', 'home phone'] },
+      { label: 'Email', type: 'email', aliases: ['email address', 'e mail'] },
+      { label: 'Emergency Contact', type: 'text', aliases: ['emergency contact name', 'in case of emergency'] },
+      { label: 'Insurance Provider', type: 'text', aliases: ['insurance company', 'insurance carrier', 'insurance'] },
+      { label: 'Insurance Policy Number', type: 'text', aliases: ['policy number', 'member id', 'insurance id', 'subscriber id'] },
+      { label: 'Allergies', type: 'textarea', aliases: ['known allergies', 'drug allergies'] },
+      { label: 'Current Medications', type: 'textarea', aliases: ['medications', 'current medication'] },
+      { label: 'Reason for Visit', type: 'textarea', aliases: ['chief complaint', 'reason for appointment'] },
+      { label: 'Signature', type: 'text', aliases: ['patient signature', 'client signature'] },
+      { label: 'Date', type: 'date', aliases: ['date signed', 'today s date', 'todays date'] }
+    ]
+  }
+};
+
+// Minimum detection score: share of expected fields found, plus a bonus for a keyword in the title
+const DETECTION_THRESHOLD = 0.5;
+const TITLE_KEYWORD_BONUS = 0.5;
+
+/**
+ * TemplateService - Document-type templates for extraction
+ * Templates add document-specific instructions to the prompt, normalize extracted
+ * labels to a fixed set and report expected fields the model didn't find.
+ * Built-in templates are registered on construction; more can be added via registerTemplate()
+ */
+class TemplateService {
+  constructor() {
+    this.templates = {};
+
+    Object.entries(BUILT_IN_TEMPLATES).forEach(([key, template]) => {
+      this.registerTemplate(key, template);
+    });
+  }
+
+  /**
+   * Register a document template
+   * @param {string} key - Unique template key
+   * @param {object} template - Template descriptor
+   * @param {string} template.name - Display name
+   * @param {string} [template.icon] - Display icon
+   * @param {string} [template.description] - Short description
+   * @param {string} [template.prompt] - Instructions added to the extraction prompt
+   * @param {Array<string>} [template.keywords] - Title words that point to this template
+   * @param {Array<object>} template.fields - Expected fields ({ label, type, aliases })
+   */
+  registerTemplate(key, template) {
+    if (!template?.name || !Array.isArray(template.fields)) {
+      throw new Error(`Template ${key} must have a name and a fields list`);
+    }
+
+    this.templates[key] = {
+      key,
+      icon: '📋',
+      description: '',
+      prompt: '',
+      keywords: [],
+      ...template,
+      fields: template.fields.map((field) => ({ type: 'text', aliases: [], ...field }))
+    };
+  }
+
+  /**
+   * Get all templates
+   * @returns {Array<object>} Templates with key, name, icon, description and fields
+   */
+  getTemplates() {
+    return Object.values(this.templates);
+  }
+
+  /**
+   * Get a template by key
+   * @param {string} key - Template key
+   * @returns {object|null} Template
+   */
+  getTemplate(key) {
+    return this.templates[key] || null;
+  }
+
+  /**
+   * Reduce a label to a comparable form
+   * Drops line numbers ("1 Name", "3a."), parentheticals, case and punctuation
+   * @param {string} label - Field label
+   * @returns {string} Normalized label
+   */
+  normalizeLabel(label) {
+    return String(label || '')
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, ' ')
+      .replace(/^\s*\d+[a-z]?[.):]?\s+/, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Find the expected field an extracted label refers to
+   * @param {object} template - Template
+   * @param {string} label - Extracted label
+   * @returns {object|null} Expected field
+   */
+  matchField(template, label) {
+    const normalized = this.normalizeLabel(label);
+    if (!normalized) {
+      return null;
+    }
+    return template.fields.find((field) =>
+      [field.label, ...field.aliases].some((name) => this.normalizeLabel(name) === normalized)
+    ) || null;
+  }
+
+  /**
+   * Guess the template of an extraction result
+   * Scores each template by the share of its expected fields that were found,
+   * plus a bonus when the form title contains one of its keywords
+   * @param {object} data - { formTitle, fields }
+   * @returns {string|null} Template key, or null if none fits well enough
+   */
+  detectTemplate({ formTitle = '', fields = [] }) {
+    const title = ` ${this.normalizeLabel(formTitle)} `;
+    let best = null;
+
+    this.getTemplates().forEach((template) => {
+      const found = new Set(
+        fields.map((field) => this.matchField(template, field.label)?.label).filter(Boolean)
+      );
+      const titleMatch = template.keywords.some((keyword) => title.includes(` ${this.normalizeLabel(keyword)} `));
+      const score = found.size / template.fields.length + (titleMatch ? TITLE_KEYWORD_BONUS : 0);
+
+      if (score >= DETECTION_THRESHOLD && (!best || score > best.score)) {
+        best = { key: template.key, score };
+      }
+    });
+
+    return best?.key || null;
+  }
+
+  /**
+   * Normalize extracted fields to a template
+   * Matching fields get the template's label and type; expected fields that weren't
+   * found are appended as empty placeholders marked missing
+   * @param {string} key - Template key
+   * @param {Array<object>} fields - Formatted fields
+   * @param {object} [options] - Options
+   * @param {number} [options.page] - Page the placeholders are listed on
+   * @param {boolean} [options.placeholders] - Add placeholders for missing fields
+   * @returns {Array<object>} Normalized fields
+   */
+  applyTemplate(key, fields, { page = 1, placeholders = true } = {}) {
+    const template = this.getTemplate(key);
+    if (!template) {
+      return fields;
+    }
+
+    const found = new Set();
+    const normalized = fields.map((field) => {
+      const expected = this.matchField(template, field.label);
+      if (!expected) {
+        return field;
+      }
+      found.add(expected.label);
+      return { ...field, label: expected.label, type: expected.type };
+    });
+
+    if (!placeholders) {
+      return normalized;
+    }
+
+    const missing = template.fields
+      .filter((field) => !found.has(field.label))
+      .map((field, index) => ({
+        id: `missing_${index}_${key}`,
+        label: field.label,
+        value: '',
+        type: field.type,
+        confidence: null,
+        verified: false,
+        warnings: [],
+        page,
+        missing: true
+      }));
+
+    return [...normalized, ...missing];
+  }
+}
+
+export default new TemplateService();
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import ResponseValidationService from './ResponseValidationService';
+import TemplateService from './TemplateService';
+
+describe('TemplateService', () => {
+  it('gives a field with an unknown type the type of its template field', () => {
+    const fields = ResponseValidationService.validateFields({
+      fields: [{ label: 'Invoice No', value: 'INV-1023', type: 'identifier', confidence: 0.9 }]
+    });
+
+    const [field] = TemplateService.applyTemplate('invoice', fields, { page: 1, placeholders: false });
+    expect(field).toMatchObject({ label: 'Invoice Number', type: 'text' });
+  });
+
+  it('adds a placeholder for each expected field that was not found', () => {
+    const fields = TemplateService.applyTemplate('invoice', [], { page: 1, placeholders: true });
+    expect(fields.length).toBeGreaterThan(0);
+    expect(fields.every((field) => field.missing && field.value === '')).toBe(true);
+  });
+});
@@ -7,7 +7,21 @@ export { default as BaseService } from './BaseService';
 export { default as OpenAIService } from './AIProviders/OpenAIService';
 export { default as GeminiService } from './AIProviders/GeminiService';
 export { default as ClaudeService } from './AIProviders/ClaudeService';
+export { default as LocalService } from './AIProviders/LocalService';
+export { default as MockService } from './AIProviders/MockService';
+export { default as OCRService } from './AIProviders/OCRService';
 export { default as AIProviderService } from './AIProviderService';
-export { default as FormProcessingService } from './FormProcessingService';
+export { default as FormProcessingService, PDF_FORM_SOURCE } from './FormProcessingService';
+export { default as EnsembleService } from './EnsembleService';
+export { default as PricingService } from './PricingService';
 export { default as PromptService } from './PromptService';
+export { default as TemplateService } from './TemplateService';
+export { default as ClassificationService } from './ClassificationService';
+export { default as ResponseParsingService, ResponseParseError } from './ResponseParsingService';
+export { default as ResponseValidationService } from './ResponseValidationService';
+export { default as GroundingService } from './GroundingService';
+export { default as PreprocessingService } from './PreprocessingService';
+export { default as SettingsService } from './SettingsService';
+export { default as CacheService } from './CacheService';
+export { default as CorrectionService } from './CorrectionService';
 
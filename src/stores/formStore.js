@@ -1,7 +1,58 @@
 import { create } from 'zustand';
 import { devtools, persist } from 'zustand/middleware';
 import AIProviderService from '../services/AIProviderService';
-import FormProcessingService from '../services/FormProcessingService';
+import FormProcessingService, { PDF_FORM_SOURCE } from '../services/FormProcessingService';
+import PricingService from '../services/PricingService';
+import TemplateService from '../services/TemplateService';
+import ClassificationService from '../services/ClassificationService';
+import PromptService from '../services/PromptService';
+import CorrectionService from '../services/CorrectionService';
+import GroundingService from '../services/GroundingService';
+import PreprocessingService from '../services/PreprocessingService';
+
+/**
+ * Remember a reviewer correction of an extracted field for few-shot examples
+ * Editing a field back to its extracted label and value forgets the correction
+ * @param {object} state - Store state when the field was edited
+ * @param {object} field - Edited field, with the extracted { label, value } as field.original
+ * @returns {Promise<void>}
+ */
+const saveCorrection = async ({ extractedData, currentForm, originalFile, currentPage, pageEdits }, field) => {
+  if (!extractedData.template || !CorrectionService.isEnabled()) {
+    return;
+  }
+
+  const id = `${extractedData.extractedAt}_${field.id}`;
+  const { original } = field;
+  const corrected = { label: field.label, value: field.value };
+  if (original.label === corrected.label && original.value === corrected.value) {
+    await CorrectionService.deleteCorrection(id);
+    return;
+  }
+
+  // Fields on other PDF pages are cropped from a fresh render of their page, edited like it was
+  let crop = null;
+  if (field.boundingBox && currentForm) {
+    let pageImage = currentForm;
+    if (originalFile && (field.page || 1) !== currentPage) {
+      pageImage = await FormProcessingService.convertPDFPageToImage(originalFile, field.page);
+      if (pageEdits[field.page]) {
+        pageImage = await PreprocessingService.applyEdit(pageImage, pageEdits[field.page]);
+      }
+    }
+    crop = await FormProcessingService.cropImage(pageImage, field.boundingBox).catch(() => null);
+  }
+
+  await CorrectionService.addCorrection({
+    id,
+    template: extractedData.template,
+    formTitle: extractedData.formTitle,
+    type: field.type,
+    original,
+    corrected,
+    crop
+  });
+};
 
 /**
  * Form Store - Manages form processing state using Zustand
@@ -9,10 +60,14 @@ import FormProcessingService from '../services/FormProcessingService';
  * 
  * Features:
  * - File upload and validation
+ * - Photo preprocessing (deskew, crop, contrast) with a before/after preview
+ * - Manual rotation and cropping of each page before extraction
  * - AI-powered field extraction
  * - Field editing and verification
  * - Export functionality
  * - Processing history
+ * - Prompt version comparison
+ * - Learning from corrections (few-shot examples per template)
  */
 const useFormStore = create(
   devtools(
@@ -25,18 +80,31 @@ const useFormStore = create(
         processing: false,            // AI processing state
         error: null,                  // Error messages
         history: [],                  // Processing history
+        totalUsage: { inputTokens: 0, outputTokens: 0, cost: 0 }, // Running token usage and cost across all runs
         imagePreview: null,           // Image preview URL
+        originalPreview: null,        // Preview URL of the uploaded photo before preprocessing
+        preprocessingSteps: [],       // Preprocessing applied to the uploaded photo, e.g. 'Deskewed 2.1°'
+        showOriginal: false,          // Show the photo before preprocessing instead of the processed one
+        sourceImage: null,            // Current page image before manual edits
+        pageEdits: {},                // Page number -> manual edit { rotation, crop } applied before extraction
         selectedProvider: AIProviderService.getCurrentProvider(), // Selected AI provider
+        providerModels: [],           // Models discovered from the selected provider (local servers)
+        selectedModel: null,          // Model chosen from providerModels
+        selectedTemplate: 'auto',     // Document template key, 'auto' to detect it or 'none'
+        dailyRequestCounts: AIProviderService.getDailyRequestCounts(), // Provider key -> requests sent today
         isPDF: false,                 // Whether current file is PDF
         currentPage: 1,               // Current PDF page being viewed
         totalPages: 1,                // Total pages in PDF
-        processingPage: null,         // Current page being processed during extraction
+        pageStatuses: {},             // Page number -> 'queued' | 'running' | 'done' | 'failed' | 'skipped' during extraction
         highlightedFieldId: null,     // Field ID to highlight on the image
+        abortController: null,        // Controller for the extraction in progress
 
         // Actions
         
         /**
          * Upload and validate form image or PDF
+         * Photos go through the preprocessing pipeline; the processed image is what
+         * providers see and what is previewed, so bounding boxes line up
          * @param {File} file - Form image or PDF file
          */
         uploadForm: async (file) => {
@@ -51,6 +119,8 @@ const useFormStore = create(
 
             let fileToProcess = file;
             let previewURL;
+            let originalPreview = null;
+            let preprocessingSteps = [];
             const isPDFFile = FormProcessingService.isPDF(file);
             let pageCount = 1;
 
@@ -62,13 +132,35 @@ const useFormStore = create(
               fileToProcess = new File([imageBlob], file.name, { type: 'image/png' });
               previewURL = URL.createObjectURL(imageBlob);
             } else {
-              previewURL = URL.createObjectURL(file);
+              // The photo is used as uploaded if preprocessing fails
+              const processed = PreprocessingService.isEnabled()
+                ? await PreprocessingService.preprocess(file).catch((error) => {
+                  console.warn('Could not preprocess image:', error);
+                  return null;
+                })
+                : null;
+              if (processed) {
+                fileToProcess = processed.file;
+                preprocessingSteps = processed.steps;
+                originalPreview = processed.steps.length > 0 ? URL.createObjectURL(file) : null;
+              }
+              previewURL = URL.createObjectURL(fileToProcess);
+            }
+
+            const { originalPreview: previousOriginal } = get();
+            if (previousOriginal) {
+              URL.revokeObjectURL(previousOriginal);
             }
 
             set({
               currentForm: fileToProcess,
               originalFile: isPDFFile ? file : null,
               imagePreview: previewURL,
+              originalPreview,
+              preprocessingSteps,
+              showOriginal: false,
+              sourceImage: fileToProcess,
+              pageEdits: {},
               extractedData: null,
               processing: false,
               isPDF: isPDFFile,
@@ -85,12 +177,12 @@ const useFormStore = create(
 
         /**
          * Set AI provider
-         * @param {string} provider - Provider key (gpt-4o, gemini, claude)
+         * @param {string} provider - Provider key (gpt-4o, gemini, claude, local)
          */
         setProvider: (provider) => {
           try {
             AIProviderService.setProvider(provider);
-            set({ selectedProvider: provider });
+            set({ selectedProvider: provider, providerModels: [], selectedModel: null });
           } catch (error) {
             console.error('Failed to set provider:', error);
             throw error;
@@ -105,73 +197,206 @@ const useFormStore = create(
           return AIProviderService.getAvailableProviders();
         },
 
+        /**
+         * Get provider info by key
+         * Also describes PDF_FORM_SOURCE, the producer of fields read from fillable PDFs
+         * @param {string} provider - Provider key
+         * @returns {object|null} Provider info
+         */
+        getProviderInfo: (provider) => {
+          if (provider === PDF_FORM_SOURCE) {
+            return { key: PDF_FORM_SOURCE, name: 'PDF form', icon: '📄', description: 'Fillable PDF form fields' };
+          }
+          return AIProviderService.getProviderInfo(provider);
+        },
+
+        /**
+         * Subscribe to provider registry changes
+         * Keeps selectedProvider valid when the selected provider is unregistered
+         * @param {Function} listener - Called with the updated provider list
+         * @returns {Function} Unsubscribe function
+         */
+        subscribeToProviders: (listener) => {
+          return AIProviderService.subscribe((providers) => {
+            if (!providers.some(p => p.key === get().selectedProvider)) {
+              set({ selectedProvider: AIProviderService.getCurrentProvider() });
+            }
+            listener(providers);
+          });
+        },
+
+        /**
+         * Load the models served by the selected provider
+         * Providers with a fixed model return an empty list
+         * @returns {Promise<Array<string>>} Model names
+         */
+        loadProviderModels: async () => {
+          const { selectedProvider, selectedModel } = get();
+
+          try {
+            const models = await AIProviderService.getProviderModels(selectedProvider);
+            const model = models.includes(selectedModel) ? selectedModel : models[0] || null;
+            if (model) {
+              AIProviderService.setProviderModel(selectedProvider, model);
+            }
+            set({ providerModels: models, selectedModel: model });
+            return models;
+          } catch (error) {
+            console.error('Failed to load provider models:', error);
+            set({ providerModels: [], selectedModel: null });
+            throw error;
+          }
+        },
+
+        /**
+         * Set the model for the selected provider
+         * @param {string} model - Model name from providerModels
+         */
+        setProviderModel: (model) => {
+          const { selectedProvider } = get();
+          AIProviderService.setProviderModel(selectedProvider, model);
+          set({ selectedModel: model });
+        },
+
+        /**
+         * Get the document templates
+         * @returns {Array<object>} Templates
+         */
+        getTemplates: () => {
+          return TemplateService.getTemplates();
+        },
+
+        /**
+         * Set the document template for the next extraction
+         * @param {string} template - Template key, 'auto' or 'none'
+         */
+        setTemplate: (template) => {
+          set({ selectedTemplate: template });
+        },
+
         /**
          * Extract form fields using AI
+         * PDF pages are rendered and extracted in parallel, up to the selected
+         * provider's concurrency limit; fields are kept in page order.
+         * Can be stopped with cancelExtraction(). Pages finished before a cancel or
+         * alongside failed pages are kept and the run is recorded as partial.
+         * With a template selected (or detected), labels are normalized to the
+         * template and expected fields that weren't found are added as placeholders.
+         * When page classification is enabled, each page is classified first: cover,
+         * instruction and blank pages are skipped, and the rest are routed to the
+         * classified template and (for handwriting) provider.
+         * The active prompt version is recorded with the result and in history. Pages
+         * with a known template get the reviewer corrections of that template as examples.
+         * Pages of fillable PDFs are read from their form fields and never sent to a provider;
+         * values read from other PDF pages are checked against the page's text layer
+         * @param {object} [options] - Extraction options
+         * @param {boolean} [options.forceFresh] - Ignore cached responses and call the provider again
+         * @returns {Promise<object|null>} Extracted data (null if cancelled before any page finished)
          */
-        extractFields: async () => {
-          const { originalFile, currentForm, selectedProvider, isPDF, totalPages } = get();
+        extractFields: async ({ forceFresh = false } = {}) => {
+          const { originalFile, currentForm, selectedProvider, selectedTemplate, isPDF, totalPages, preprocessingSteps, pageEdits } = get();
           
           if (!currentForm) {
             throw new Error('No form uploaded');
           }
 
-          set({ processing: true, error: null });
+          const isMultiPage = isPDF && totalPages > 1 && originalFile;
+          const pages = isMultiPage
+            ? Array.from({ length: totalPages }, (_, i) => i + 1)
+            : [1];
 
-          try {
-            let allFields = [];
-            let formTitle = '';
-
-            // If it's a multi-page PDF, extract from all pages
-            if (isPDF && totalPages > 1 && originalFile) {
-              for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-                // Update progress
-                set({ processingPage: pageNum });
-                
-                // Convert page to image
-                const imageBlob = await FormProcessingService.convertPDFPageToImage(originalFile, pageNum);
-                const pageFile = new File([imageBlob], originalFile.name, { type: 'image/png' });
-                
-                // Extract fields from this page
-                const rawData = await AIProviderService.extractFormFields(pageFile);
-                const formattedData = FormProcessingService.formatExtractedData(rawData, pageNum);
-                
-                // Use title from first page
-                if (pageNum === 1) {
-                  formTitle = formattedData.formTitle;
-                }
-                
-                // Add page number to each field
-                const fieldsWithPage = formattedData.fields.map(field => ({
-                  ...field,
-                  page: pageNum
-                }));
-                
-                allFields = [...allFields, ...fieldsWithPage];
-                
-                // Update UI with current results after each page
-                set(state => ({
-                  extractedData: {
-                    formTitle: formTitle || state.extractedData?.formTitle || '',
-                    fields: allFields,
-                    extractedAt: new Date().toISOString()
-                  }
-                }));
+          // A detected template only normalizes the result; a chosen one also shapes the prompt
+          const template = TemplateService.getTemplate(selectedTemplate);
+          const classifyPages = ClassificationService.isEnabled(pages.length);
+          // Pinned for the whole run so every page uses the same wording
+          const promptVersion = PromptService.getActiveVersion().id;
+
+          const abortController = new AbortController();
+          const { signal } = abortController;
+          set({
+            processing: true,
+            error: null,
+            abortController,
+            pageStatuses: Object.fromEntries(pages.map(pageNum => [pageNum, 'queued']))
+          });
+
+          const pageResults = {};       // Page number -> { formTitle, fields, provider, usage, cached, classification, skipped }
+          const pageErrors = {};        // Page number -> error message
+          const streamingFields = {};   // Page number -> fields parsed so far while the page streams
+
+          const setPageStatus = (pageNum, status) => {
+            set(state => ({ pageStatuses: { ...state.pageStatuses, [pageNum]: status } }));
+          };
+
+          // Combine finished pages in page order; skipped pages only add their classification cost
+          const collectResults = () => {
+            const donePages = pages.filter(pageNum => pageResults[pageNum]);
+            const extractedPages = donePages.filter(pageNum => !pageResults[pageNum].skipped);
+            const classifiedPages = donePages.filter(pageNum => pageResults[pageNum].classification);
+            return {
+              formTitle: extractedPages.map(pageNum => pageResults[pageNum].formTitle).find(Boolean) || '',
+              fields: extractedPages.flatMap(pageNum => pageResults[pageNum].fields),
+              pageProviders: Object.fromEntries(extractedPages.map(pageNum => [pageNum, pageResults[pageNum].provider])),
+              cachedPages: extractedPages.filter(pageNum => pageResults[pageNum].cached),
+              pdfFormPages: extractedPages.filter(pageNum => pageResults[pageNum].provider === PDF_FORM_SOURCE),
+              skippedPages: donePages.filter(pageNum => pageResults[pageNum].skipped),
+              pageClassifications: Object.fromEntries(classifiedPages.map(pageNum => [pageNum, pageResults[pageNum].classification])),
+              usage: PricingService.sumUsage(donePages.map(pageNum => pageResults[pageNum].usage))
+            };
+          };
+
+          // Show finished pages and fields still streaming in, in page order
+          const showProgress = () => {
+            set({
+              extractedData: {
+                ...collectResults(),
+                fields: pages.flatMap(pageNum => pageResults[pageNum]?.fields || streamingFields[pageNum] || []),
+                extractedAt: new Date().toISOString()
               }
-            } else {
-              // Single page or regular image
-              const rawData = await AIProviderService.extractFormFields(currentForm);
-              const formattedData = FormProcessingService.formatExtractedData(rawData, 1);
-              formTitle = formattedData.formTitle;
-              allFields = formattedData.fields.map(field => ({
-                ...field,
-                page: 1
-              }));
+            });
+          };
+
+          // Store results and add the run to history
+          const finishRun = ({ cancelled = false } = {}) => {
+            const { formTitle, fields, pageProviders, cachedPages, pdfFormPages, skippedPages, pageClassifications, usage } = collectResults();
+            const pagesCompleted = Object.keys(pageProviders).length;
+            const failedPages = Object.keys(pageErrors).map(Number);
+            const partial = cancelled || failedPages.length > 0;
+
+            if (pagesCompleted === 0 && skippedPages.length === 0) {
+              set({ processing: false, abortController: null });
+              return null;
             }
 
+            // Prefer the document type the pages were classified as over guessing from the labels
+            const formClassifications = Object.entries(pageClassifications)
+              .filter(([pageNum]) => !skippedPages.includes(Number(pageNum)))
+              .map(([, classification]) => classification);
+            const templateKey = selectedTemplate === 'auto'
+              ? ClassificationService.getDocumentType(formClassifications) || TemplateService.detectTemplate({ formTitle, fields })
+              : template?.key || null;
+            // Fields on unfinished pages aren't missing, so partial runs get no placeholders
+            const finalFields = templateKey
+              ? TemplateService.applyTemplate(templateKey, fields, { page: pages[0], placeholders: !partial })
+              : fields;
+
             const finalData = {
               formTitle,
-              fields: allFields,
-              extractedAt: new Date().toISOString()
+              fields: finalFields,
+              template: templateKey,
+              promptVersion,
+              templateDetected: !!templateKey && selectedTemplate === 'auto',
+              pageProviders,
+              cachedPages,
+              pdfFormPages,
+              skippedPages,
+              pageClassifications,
+              usage,
+              // Boxes refer to the processed photo and the edited pages
+              ...(preprocessingSteps.length > 0 && { preprocessing: preprocessingSteps }),
+              ...(Object.keys(pageEdits).length > 0 && { pageEdits }),
+              extractedAt: new Date().toISOString(),
+              ...(partial && { partial: true, cancelled, failedPages, pageErrors: { ...pageErrors } })
             };
 
             // Get provider info for history
@@ -182,39 +407,289 @@ const useFormStore = create(
               id: Date.now(),
               filename: currentForm.name,
               extractedAt: new Date().toISOString(),
-              fieldsCount: allFields.length,
+              // Template placeholders for fields not on the form are counted apart
+              fieldsCount: finalFields.filter(field => !field.missing).length,
+              missingFieldsCount: finalFields.filter(field => field.missing).length,
               formTitle: formTitle,
-              provider: providerInfo?.name || selectedProvider
+              provider: providerInfo?.name || selectedProvider,
+              providerKey: selectedProvider,
+              promptVersion,
+              fallbackUsed: Object.values(pageProviders).some(key => key !== selectedProvider && key !== PDF_FORM_SOURCE),
+              partial,
+              pagesCompleted,
+              totalPages: pages.length,
+              usage
             };
 
             set(state => ({
               extractedData: finalData,
               processing: false,
-              processingPage: null,
+              abortController: null,
+              totalUsage: PricingService.sumUsage([state.totalUsage, usage]),
               history: [historyEntry, ...state.history].slice(0, 10) // Keep last 10
             }));
 
             return finalData;
-          } catch (error) {
-            set({ error: error.message, processing: false, processingPage: null });
-            throw error;
+          };
+
+          // Each worker takes the next queued page until none are left
+          let nextPageIndex = 0;
+          const worker = async () => {
+            while (nextPageIndex < pages.length && !signal.aborted) {
+              const pageNum = pages[nextPageIndex++];
+              setPageStatus(pageNum, 'running');
+              const pageEdit = pageEdits[pageNum] || null;
+
+              try {
+                // Fillable PDFs already hold their fields; only pages without any go to the AI
+                const pdfForm = originalFile && FormProcessingService.readPDFForms
+                  ? await FormProcessingService.getPDFFormFields(originalFile, pageNum).catch((error) => {
+                    console.warn(`Could not read PDF form fields of page ${pageNum}:`, error);
+                    return null;
+                  })
+                  : null;
+                if (pdfForm?.fields.length > 0) {
+                  // Boxes are moved onto the edited page; fields cropped away are left out
+                  const formattedData = FormProcessingService.formatExtractedData({
+                    ...pdfForm,
+                    fields: PreprocessingService.mapBoxes(pdfForm.fields, pageEdit)
+                  }, pageNum);
+                  pageResults[pageNum] = {
+                    formTitle: formattedData.formTitle,
+                    provider: PDF_FORM_SOURCE,
+                    usage: null,
+                    cached: false,
+                    fields: formattedData.fields.map(field => ({ ...field, page: pageNum, provider: PDF_FORM_SOURCE }))
+                  };
+                  setPageStatus(pageNum, 'done');
+                  showProgress();
+                  continue;
+                }
+
+                // Convert page to image, with the page's manual edit (currentForm already has it)
+                let pageFile = currentForm;
+                if (isMultiPage) {
+                  const imageBlob = await FormProcessingService.convertPDFPageToImage(originalFile, pageNum);
+                  pageFile = new File([imageBlob], originalFile.name, { type: 'image/png' });
+                  if (pageEdit) {
+                    pageFile = await PreprocessingService.applyEdit(pageFile, pageEdit);
+                  }
+                }
+
+                // Classify the page first; extraction goes ahead unclassified if that fails
+                let classified = null;
+                if (classifyPages) {
+                  try {
+                    classified = await AIProviderService.classifyPage(pageFile, { signal, forceFresh });
+                  } catch (error) {
+                    if (error.name === 'AbortError') {
+                      throw error;
+                    }
+                    console.warn(`Could not classify page ${pageNum}:`, error);
+                  }
+                }
+                const classification = classified?.data || null;
+
+                if (classification && ClassificationService.shouldSkip(classification)) {
+                  pageResults[pageNum] = { skipped: true, classification, usage: classified.usage, fields: [] };
+                  setPageStatus(pageNum, 'skipped');
+                  showProgress();
+                  continue;
+                }
+
+                // With auto-detection, a classified document type picks the page's template
+                const pageTemplate = template
+                  || (selectedTemplate === 'auto' && TemplateService.getTemplate(classification?.documentType))
+                  || null;
+
+                const examples = pageTemplate
+                  ? await CorrectionService.getExamples(pageTemplate.key).catch(() => [])
+                  : [];
+
+                // Extract fields from this page (falls back to other providers on failure),
+                // showing fields as streaming providers return them
+                const result = await AIProviderService.extractFormFields(pageFile, {
+                  signal,
+                  forceFresh,
+                  template: pageTemplate,
+                  classification,
+                  promptVersion,
+                  examples,
+                  provider: classification && ClassificationService.getPreferredProvider(classification),
+                  onFields: (rawFields) => {
+                    streamingFields[pageNum] = FormProcessingService.formatExtractedData({ fields: rawFields }, pageNum)
+                      .fields.map(field => ({ ...field, page: pageNum, streaming: true }));
+                    showProgress();
+                  }
+                });
+                const formattedData = FormProcessingService.formatExtractedData(result.data, pageNum);
+
+                // Digitally generated PDFs have exact text to correct misread values with
+                const textWords = originalFile && GroundingService.enabled
+                  ? await FormProcessingService.getPDFTextWords(originalFile, pageNum).catch((error) => {
+                    console.warn(`Could not read the text layer of page ${pageNum}:`, error);
+                    return [];
+                  })
+                  : [];
+                const groundedFields = GroundingService.groundFields(
+                  formattedData.fields,
+                  PreprocessingService.mapBoxes(textWords, pageEdit, 'box')
+                );
+
+                // Add page number and producing provider to each field
+                pageResults[pageNum] = {
+                  formTitle: formattedData.formTitle,
+                  provider: result.provider,
+                  usage: classified ? PricingService.sumUsage([classified.usage, result.usage]) : result.usage,
+                  cached: result.cached,
+                  classification,
+                  fields: groundedFields.map(field => ({
+                    ...field,
+                    page: pageNum,
+                    provider: result.provider
+                  }))
+                };
+                delete streamingFields[pageNum];
+                setPageStatus(pageNum, 'done');
+
+                // Update UI with current results after each page
+                showProgress();
+              } catch (error) {
+                // Fields of an unfinished page are discarded
+                if (streamingFields[pageNum]) {
+                  delete streamingFields[pageNum];
+                  showProgress();
+                }
+                if (error.name === 'AbortError') {
+                  setPageStatus(pageNum, 'queued');
+                  return;
+                }
+                pageErrors[pageNum] = error.message;
+                setPageStatus(pageNum, 'failed');
+              }
+            }
+          };
+
+          const concurrency = Math.min(AIProviderService.getConcurrency(selectedProvider), pages.length);
+          await Promise.all(Array.from({ length: concurrency }, worker));
+
+          if (signal.aborted) {
+            return finishRun({ cancelled: true });
+          }
+
+          const failedPages = Object.keys(pageErrors);
+          if (failedPages.length === pages.length) {
+            const message = pages.length === 1
+              ? pageErrors[pages[0]]
+              : `All pages failed: ${failedPages.map(pageNum => `page ${pageNum}: ${pageErrors[pageNum]}`).join('; ')}`;
+            set({ error: message, processing: false, abortController: null });
+            throw new Error(message);
+          }
+
+          return finishRun();
+        },
+
+        /**
+         * Extract the current page with two prompt versions and compare the results
+         * Both runs use the selected provider (with fallbacks) and template; their cost is
+         * added to the running total but the comparison doesn't replace extractedData
+         * @param {string} versionA - Prompt version ID of the baseline
+         * @param {string} versionB - Prompt version ID to compare against it
+         * @param {object} [options] - Options
+         * @param {AbortSignal} [options.signal] - Cancels both runs
+         * @param {boolean} [options.forceFresh] - Ignore cached responses
+         * @returns {Promise<object>} { a, b, rows } with each run's { promptVersion, formTitle,
+         *   fields, provider, usage, cached } and the rows from FormProcessingService.compareFields
+         */
+        comparePromptVersions: async (versionA, versionB, { signal, forceFresh = false } = {}) => {
+          const { currentForm, currentPage, selectedTemplate } = get();
+
+          if (!currentForm) {
+            throw new Error('No form uploaded');
+          }
+
+          const template = TemplateService.getTemplate(selectedTemplate);
+          // Same examples for both runs, so only the wording differs
+          const examples = template ? await CorrectionService.getExamples(template.key).catch(() => []) : [];
+          const run = async (promptVersion) => {
+            const result = await AIProviderService.extractFormFields(currentForm, {
+              signal,
+              forceFresh,
+              template,
+              promptVersion,
+              examples
+            });
+            const formattedData = FormProcessingService.formatExtractedData(result.data, currentPage);
+            return {
+              promptVersion,
+              formTitle: formattedData.formTitle,
+              fields: formattedData.fields.map(field => ({ ...field, page: currentPage })),
+              provider: result.provider,
+              usage: result.usage,
+              cached: result.cached
+            };
+          };
+
+          const settled = await Promise.allSettled([run(versionA), run(versionB)]);
+          // Whatever finished was paid for, even if the other run failed
+          const usage = PricingService.sumUsage(settled
+            .filter(outcome => outcome.status === 'fulfilled')
+            .map(outcome => outcome.value.usage));
+          set(state => ({ totalUsage: PricingService.sumUsage([state.totalUsage, usage]) }));
+
+          const failed = settled.find(outcome => outcome.status === 'rejected');
+          if (failed) {
+            throw failed.reason;
+          }
+
+          const [a, b] = settled.map(outcome => outcome.value);
+          return { a, b, rows: FormProcessingService.compareFields(a.fields, b.fields) };
+        },
+
+        /**
+         * Cancel the extraction in progress
+         */
+        cancelExtraction: () => {
+          const { abortController } = get();
+          if (abortController) {
+            abortController.abort();
           }
         },
 
         /**
          * Update a specific field label and/or value
+         * Changes to extracted fields are saved as corrections of the form's template
          * @param {string} fieldId - Field ID
          * @param {object} updates - Object with label and/or value to update
          */
         updateField: (fieldId, updates) => {
+          const field = get().extractedData.fields.find(f => f.id === fieldId);
+          if (!field) {
+            return;
+          }
+
+          // The extracted label and value are kept across repeated edits
+          const original = field.manual ? undefined : field.original || { label: field.label, value: field.value };
+          // Filling in a placeholder makes it a found field
+          const updatedField = {
+            ...field,
+            ...updates,
+            verified: true,
+            ...(original && { original }),
+            ...(field.missing && updates.value && { missing: false })
+          };
+
           set(state => ({
             extractedData: {
               ...state.extractedData,
-              fields: state.extractedData.fields.map(field =>
-                field.id === fieldId ? { ...field, ...updates, verified: true } : field
-              )
+              fields: state.extractedData.fields.map(f => f.id === fieldId ? updatedField : f)
             }
           }));
+
+          if (original) {
+            saveCorrection(get(), updatedField)
+              .catch(error => console.warn('Could not save correction:', error));
+          }
         },
 
         /**
@@ -260,6 +735,7 @@ const useFormStore = create(
             type: fieldData.type || 'text',
             confidence: 1.0,
             verified: true,
+            manual: true,
             page: pageNum
           };
 
@@ -322,7 +798,12 @@ const useFormStore = create(
 
           try {
             const imageBlob = await FormProcessingService.convertPDFPageToImage(originalFile, pageNumber);
-            const previewURL = URL.createObjectURL(imageBlob);
+            const pageImage = new File([imageBlob], originalFile.name, { type: 'image/png' });
+
+            // Pages edited before are shown with their edit
+            const pageEdit = get().pageEdits[pageNumber];
+            const fileToProcess = pageEdit ? await PreprocessingService.applyEdit(pageImage, pageEdit) : pageImage;
+            const previewURL = URL.createObjectURL(fileToProcess);
             
             // Revoke old preview URL
             const { imagePreview } = get();
@@ -330,12 +811,10 @@ const useFormStore = create(
               URL.revokeObjectURL(imagePreview);
             }
 
-            // Update form with new page
-            const fileToProcess = new File([imageBlob], originalFile.name, { type: 'image/png' });
-
             set({
               currentForm: fileToProcess,
               imagePreview: previewURL,
+              sourceImage: pageImage,
               currentPage: pageNumber,
               processing: false
             });
@@ -345,25 +824,115 @@ const useFormStore = create(
           }
         },
 
+        /**
+         * Rotate the current page a quarter turn before extraction
+         * @param {number} degrees - 90 to turn clockwise, -90 to turn counter-clockwise
+         * @returns {Promise<void>}
+         */
+        rotatePage: async (degrees) => {
+          const { pageEdits, currentPage } = get();
+          const { rotation = 0, crop = null } = pageEdits[currentPage] || {};
+          await get().setPageEdit({
+            rotation: (((rotation + degrees) % 360) + 360) % 360,
+            // The kept area turns with the page
+            crop: crop && PreprocessingService.mapBox(crop, { rotation: degrees })
+          });
+        },
+
+        /**
+         * Crop the current page before extraction
+         * Cropping an already cropped page crops further into it
+         * @param {object} box - Normalized { x, y, width, height } of the page as shown
+         * @returns {Promise<void>}
+         */
+        cropPage: async (box) => {
+          const { pageEdits, currentPage } = get();
+          const { rotation = 0, crop = null } = pageEdits[currentPage] || {};
+          await get().setPageEdit({
+            rotation,
+            crop: crop
+              ? {
+                x: crop.x + box.x * crop.width,
+                y: crop.y + box.y * crop.height,
+                width: box.width * crop.width,
+                height: box.height * crop.height
+              }
+              : box
+          });
+        },
+
+        /**
+         * Undo the manual edits of the current page
+         * @returns {Promise<void>}
+         */
+        resetPageEdit: () => get().setPageEdit({ rotation: 0, crop: null }),
+
+        /**
+         * Remember a manual edit of the current page and show the edited page
+         * The edited image replaces the page image for extraction
+         * @param {object} edit - { rotation, crop } as for PreprocessingService.applyEdit()
+         * @returns {Promise<void>}
+         */
+        setPageEdit: async (edit) => {
+          const { sourceImage, currentPage, pageEdits } = get();
+          if (!sourceImage) {
+            throw new Error('No form uploaded');
+          }
+
+          const isEdited = edit.rotation !== 0 || !!edit.crop;
+          const otherEdits = { ...pageEdits };
+          delete otherEdits[currentPage];
+          set({
+            pageEdits: isEdited ? { ...otherEdits, [currentPage]: edit } : otherEdits,
+            showOriginal: false,
+            error: null
+          });
+
+          try {
+            const editedImage = isEdited ? await PreprocessingService.applyEdit(sourceImage, edit) : sourceImage;
+
+            // A later edit or another page may have been shown meanwhile
+            const state = get();
+            if (state.currentPage !== currentPage || (state.pageEdits[currentPage] || null) !== (isEdited ? edit : null)) {
+              return;
+            }
+            if (state.imagePreview) {
+              URL.revokeObjectURL(state.imagePreview);
+            }
+            set({ currentForm: editedImage, imagePreview: URL.createObjectURL(editedImage) });
+          } catch (error) {
+            set({ pageEdits, error: error.message });
+            throw error;
+          }
+        },
+
         /**
          * Clear current form and data
          */
         clearForm: () => {
-          const { imagePreview } = get();
+          const { imagePreview, originalPreview } = get();
           if (imagePreview) {
             URL.revokeObjectURL(imagePreview);
           }
+          if (originalPreview) {
+            URL.revokeObjectURL(originalPreview);
+          }
           
           set({
             currentForm: null,
             originalFile: null,
             extractedData: null,
             imagePreview: null,
+            originalPreview: null,
+            preprocessingSteps: [],
+            showOriginal: false,
+            sourceImage: null,
+            pageEdits: {},
             error: null,
             isPDF: false,
             currentPage: 1,
             totalPages: 1,
-            processingPage: null
+            pageStatuses: {}
           });
         },
 
@@ -379,6 +948,14 @@ const useFormStore = create(
           }, 1000);
         },
 
+        /**
+         * Switch the preview between the processed photo and the photo as uploaded
+         * @param {boolean} showOriginal - Show the photo as uploaded
+         */
+        setShowOriginal: (showOriginal) => {
+          set({ showOriginal: showOriginal && !!get().originalPreview });
+        },
+
         /**
          * Clear error state
          */
@@ -388,10 +965,13 @@ const useFormStore = create(
          * Reset entire store
          */
         reset: () => {
-          const { imagePreview } = get();
+          const { imagePreview, originalPreview } = get();
           if (imagePreview) {
             URL.revokeObjectURL(imagePreview);
           }
+          if (originalPreview) {
+            URL.revokeObjectURL(originalPreview);
+          }
           
           set({
             currentForm: null,
@@ -400,11 +980,17 @@ const useFormStore = create(
             processing: false,
             error: null,
             history: [],
+            totalUsage: { inputTokens: 0, outputTokens: 0, cost: 0 },
             imagePreview: null,
+            originalPreview: null,
+            preprocessingSteps: [],
+            showOriginal: false,
+            sourceImage: null,
+            pageEdits: {},
             isPDF: false,
             currentPage: 1,
             totalPages: 1,
-            processingPage: null
+            pageStatuses: {}
           });
         },
 
@@ -412,13 +998,16 @@ const useFormStore = create(
          * Get statistics
          */
         getStats: () => {
-          const { extractedData, history } = get();
+          const { extractedData, history, totalUsage } = get();
           
           return {
-            currentFieldsCount: extractedData?.fields?.length || 0,
+            currentFieldsCount: extractedData?.fields?.filter(f => !f.missing).length || 0,
+            missingFieldsCount: extractedData?.fields?.filter(f => f.missing).length || 0,
             verifiedFieldsCount: extractedData?.fields?.filter(f => f.verified).length || 0,
             totalProcessed: history.length,
-            hasCurrentForm: !!extractedData
+            hasCurrentForm: !!extractedData,
+            currentCost: extractedData?.usage?.cost || 0,
+            totalCost: totalUsage.cost
           };
         }
       }),
@@ -426,12 +1015,19 @@ const useFormStore = create(
         name: 'form-storage',
         partialize: (state) => ({
           history: state.history,
-          selectedProvider: state.selectedProvider
+          totalUsage: state.totalUsage,
+          selectedProvider: state.selectedProvider,
+          selectedTemplate: state.selectedTemplate
         })
       }
     )
   )
 );
 
+// Keep today's request counts in sync with every request the providers send
+AIProviderService.subscribeToUsage((counts) => {
+  useFormStore.setState({ dailyRequestCounts: counts });
+});
+
 export default useFormStore;
 
@@ -0,0 +1,101 @@
+import { readFile } from 'node:fs/promises';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import MockService from '../services/AIProviders/MockService';
+import CacheService from '../services/CacheService';
+import useFormStore from './formStore';
+
+const SAMPLE_IMAGE = new URL('../../public/fixtures/sample-form.png', import.meta.url);
+
+const loadSample = async () => {
+  const image = new File([await readFile(SAMPLE_IMAGE)], 'sample-form.png', { type: 'image/png' });
+  const imageHash = await CacheService.hash(image);
+  const fixture = JSON.parse(await readFile(new URL(`../../public/fixtures/${imageHash}.json`, import.meta.url)));
+  return { image, imageHash, fixture };
+};
+
+describe('extractFields with the mock provider', () => {
+  beforeEach(() => {
+    useFormStore.getState().setProvider('mock');
+    useFormStore.setState({ selectedTemplate: 'none' });
+  });
+
+  afterEach(() => {
+    useFormStore.getState().clearForm();
+    MockService.fixtures.clear();
+    vi.unstubAllGlobals();
+  });
+
+  it('replays the committed sample fixture', async () => {
+    const { image, imageHash, fixture } = await loadSample();
+    expect(fixture.imageHash).toBe(imageHash);
+    MockService.addFixture(imageHash, fixture);
+    useFormStore.setState({ currentForm: image });
+
+    const result = await useFormStore.getState().extractFields();
+
+    expect(result.formTitle).toBe('Sample Form');
+    expect(result.fields.map(({ label, value, type }) => ({ label, value, type }))).toEqual([
+      { label: 'Name', value: 'Jane Doe', type: 'text' },
+      { label: 'Date', value: '01/02/2024', type: 'date' },
+      { label: 'City', value: 'Springfield', type: 'text' }
+    ]);
+    expect(result.fields.every((field) => field.page === 1 && field.provider === 'mock')).toBe(true);
+    expect(result.pageProviders).toEqual({ 1: 'mock' });
+    expect(result.partial).toBeUndefined();
+
+    const state = useFormStore.getState();
+    expect(state.extractedData).toBe(result);
+    expect(state.processing).toBe(false);
+    expect(state.pageStatuses).toEqual({ 1: 'done' });
+    expect(state.history[0]).toMatchObject({ filename: 'sample-form.png', providerKey: 'mock', fieldsCount: 3 });
+  });
+
+  it('counts template placeholders apart from the extracted fields', async () => {
+    const { image, imageHash, fixture } = await loadSample();
+    MockService.addFixture(imageHash, fixture);
+    useFormStore.setState({ currentForm: image, selectedTemplate: 'invoice' });
+
+    const result = await useFormStore.getState().extractFields();
+
+    const missing = result.fields.filter((field) => field.missing).length;
+    expect(missing).toBeGreaterThan(0);
+    expect(useFormStore.getState().history[0]).toMatchObject({ fieldsCount: 3, missingFieldsCount: missing });
+    expect(useFormStore.getState().getStats()).toMatchObject({ currentFieldsCount: 3, missingFieldsCount: missing });
+  });
+
+  it('shows fields while they stream in', async () => {
+    const image = new File(['streamed page'], 'streamed.png', { type: 'image/png' });
+    MockService.addFixture(await CacheService.hash(image), {
+      data: {
+        formTitle: 'Streamed',
+        fields: [
+          { label: 'First', value: 'one', type: 'text', confidence: 0.9 },
+          { label: 'Second', value: 'two', type: 'text', confidence: 0.9 }
+        ]
+      },
+      usage: { inputTokens: 10, outputTokens: 5 }
+    });
+    useFormStore.setState({ currentForm: image });
+
+    const fieldCounts = [];
+    const unsubscribe = useFormStore.subscribe((state) => {
+      if (state.processing && state.extractedData) {
+        fieldCounts.push(state.extractedData.fields.length);
+      }
+    });
+    const result = await useFormStore.getState().extractFields();
+    unsubscribe();
+
+    expect(fieldCounts).toContain(1);
+    expect(result.fields.map((field) => field.value)).toEqual(['one', 'two']);
+    expect(result.usage).toMatchObject({ inputTokens: 10, outputTokens: 5 });
+  });
+
+  it('fails on an image without a fixture', async () => {
+    vi.stubGlobal('fetch', async () => new Response('Not found', { status: 404 }));
+    useFormStore.setState({ currentForm: new File(['unknown page'], 'unknown.png', { type: 'image/png' }) });
+
+    await expect(useFormStore.getState().extractFields()).rejects.toThrow(/No fixture recorded/);
+    expect(useFormStore.getState().processing).toBe(false);
+  });
+});
@@ -5,4 +5,5 @@
 
 export { default as useFormStore } from './formStore';
 export { default as useUIStore } from './uiStore';
-
+export { default as useSettingsStore } from './settingsStore';
+export { default as usePromptStore } from './promptStore';
@@ -0,0 +1,101 @@
+import { create } from 'zustand';
+import PromptService from '../services/PromptService';
+import CorrectionService from '../services/CorrectionService';
+
+/**
+ * Prompt Store - Manages the versioned extraction prompts
+ *
+ * Handles:
+ * - Saved prompt versions (stored by PromptService)
+ * - The version used for new extractions
+ * - Reviewer corrections used as few-shot examples
+ */
+const usePromptStore = create((set, get) => ({
+  // State
+  versions: PromptService.getPromptVersions(),            // { id, name, version, text, builtIn, createdAt }
+  activeVersionId: PromptService.getActiveVersion().id,   // Version used for new extractions
+  correctionCounts: {},                                   // Template key -> stored corrections
+
+  // Actions
+
+  /**
+   * Get the display name of a prompt version
+   * @param {string} id - Version ID
+   * @returns {string} e.g. "Default v1", or the ID of a deleted version
+   */
+  getVersionLabel: (id) => {
+    const version = PromptService.getPromptVersion(id);
+    return version ? PromptService.getVersionLabel(version) : id;
+  },
+
+  /**
+   * Use a prompt version for new extractions
+   * @param {string} id - Version ID
+   */
+  setActiveVersion: (id) => {
+    PromptService.setActiveVersion(id);
+    set({ activeVersionId: id });
+  },
+
+  /**
+   * Save a prompt wording as the next version of a name
+   * @param {string} name - Prompt name
+   * @param {string} text - Base extraction prompt
+   * @returns {object} New version
+   */
+  saveVersion: (name, text) => {
+    const version = PromptService.savePromptVersion(name, text);
+    set({ versions: PromptService.getPromptVersions() });
+    return version;
+  },
+
+  /**
+   * Delete a saved prompt version
+   * The built-in version becomes active if the deleted one was
+   * @param {string} id - Version ID
+   */
+  deleteVersion: (id) => {
+    PromptService.deletePromptVersion(id);
+    set({
+      versions: PromptService.getPromptVersions(),
+      activeVersionId: PromptService.getActiveVersion().id
+    });
+  },
+
+  /**
+   * Count the stored corrections per template
+   * @returns {Promise<void>}
+   */
+  refreshCorrectionCounts: async () => {
+    set({ correctionCounts: await CorrectionService.countByTemplate().catch(() => ({})) });
+  },
+
+  /**
+   * Get the stored corrections of a template, newest first
+   * @param {string} template - Template key
+   * @returns {Promise<Array<object>>} Corrections
+   */
+  getCorrections: (template) => CorrectionService.getCorrections(template),
+
+  /**
+   * Delete one correction
+   * @param {string} id - Correction ID
+   * @returns {Promise<void>}
+   */
+  deleteCorrection: async (id) => {
+    await CorrectionService.deleteCorrection(id);
+    await get().refreshCorrectionCounts();
+  },
+
+  /**
+   * Delete the corrections of a template
+   * @param {string} template - Template key
+   * @returns {Promise<void>}
+   */
+  clearCorrections: async (template) => {
+    await CorrectionService.clear(template);
+    await get().refreshCorrectionCounts();
+  }
+}));
+
+export default usePromptStore;
@@ -0,0 +1,152 @@
+import { create } from 'zustand';
+import AIProviderService from '../services/AIProviderService';
+import SettingsService from '../services/SettingsService';
+import CacheService from '../services/CacheService';
+
+/**
+ * Settings Store - Manages provider settings entered in the app
+ *
+ * Handles:
+ * - Per-provider model, temperature and token limit (stored as plain JSON)
+ * - API keys (stored encrypted, unlocked with a passphrase)
+ * - Applying changes to the provider services without a reload
+ * - Response cache size and eviction
+ */
+const useSettingsStore = create((set, get) => ({
+  // State
+  providerSettings: SettingsService.loadSettings(), // Provider key -> { model, temperature, maxTokens }
+  hasStoredKeys: SettingsService.hasStoredKeys(),   // Whether an encrypted key vault exists
+  keysUnlocked: false,                              // Whether the stored keys are decrypted
+  cacheSettings: CacheService.getSettings(),        // { enabled, maxEntries }
+  cacheEntries: null,                               // Number of cached responses (null until counted)
+
+  // Actions
+
+  /**
+   * Get the providers that can be configured, with their current settings
+   * @returns {Array<object>} Provider info merged with settings
+   */
+  getConfigurableProviders: () => {
+    return AIProviderService.getConfigurableProviders().map((key) => ({
+      ...AIProviderService.getProviderInfo(key),
+      ...AIProviderService.getProviderSettings(key)
+    }));
+  },
+
+  /**
+   * Get the decrypted API keys
+   * @returns {object} Provider key -> API key (empty while locked)
+   */
+  getUnlockedKeys: () => SettingsService.getKeys(),
+
+  /**
+   * Decrypt the stored API keys and apply them to the providers
+   * Starts a new vault with this passphrase if none exists
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<object>} Provider key -> API key
+   */
+  unlockKeys: async (passphrase) => {
+    const keys = await SettingsService.unlock(passphrase);
+    Object.entries(keys).forEach(([providerKey, apiKey]) => {
+      if (AIProviderService.getProviderSettings(providerKey)) {
+        AIProviderService.configureProvider(providerKey, { apiKey });
+      }
+    });
+    set({ keysUnlocked: true });
+    return keys;
+  },
+
+  /**
+   * Forget the decrypted keys; providers go back to the .env keys
+   */
+  lockKeys: () => {
+    const keys = SettingsService.getKeys();
+    SettingsService.lock();
+    Object.keys(keys).forEach((providerKey) => {
+      if (AIProviderService.getProviderSettings(providerKey)) {
+        AIProviderService.configureProvider(providerKey, { apiKey: '' });
+      }
+    });
+    set({ keysUnlocked: false });
+  },
+
+  /**
+   * Delete the stored keys
+   */
+  forgetKeys: () => {
+    get().lockKeys();
+    SettingsService.clearKeys();
+    set({ hasStoredKeys: false });
+  },
+
+  /**
+   * Count the cached responses
+   * @returns {Promise<void>}
+   */
+  refreshCacheEntries: async () => {
+    set({ cacheEntries: await CacheService.count().catch(() => null) });
+  },
+
+  /**
+   * Change the response cache settings
+   * @param {object} settings - Any of { enabled, maxEntries }
+   * @returns {Promise<void>}
+   */
+  setCacheSettings: async (settings) => {
+    await CacheService.setSettings(settings);
+    set({ cacheSettings: CacheService.getSettings() });
+    await get().refreshCacheEntries();
+  },
+
+  /**
+   * Delete every cached response
+   * @returns {Promise<void>}
+   */
+  clearCache: async () => {
+    await CacheService.clear();
+    set({ cacheEntries: 0 });
+  },
+
+  /**
+   * Save settings and apply them to the providers
+   * @param {object} settings - Provider key -> { model, temperature, maxTokens, apiKey }
+   * @returns {Promise<void>}
+   * @throws {Error} When keys were entered while the vault is locked
+   */
+  saveSettings: async (settings) => {
+    const providerSettings = {};
+    const keys = {};
+    Object.entries(settings).forEach(([providerKey, { apiKey, ...rest }]) => {
+      providerSettings[providerKey] = rest;
+      keys[providerKey] = apiKey;
+    });
+
+    const { keysUnlocked } = get();
+    const enteredKeys = Object.values(keys).some(Boolean);
+    if (enteredKeys && !keysUnlocked) {
+      throw new Error('Unlock the key vault before saving API keys');
+    }
+
+    if (keysUnlocked) {
+      await SettingsService.saveKeys(keys);
+    }
+    SettingsService.saveSettings(providerSettings);
+
+    Object.entries(providerSettings).forEach(([providerKey, values]) => {
+      AIProviderService.configureProvider(providerKey, keysUnlocked
+        ? { ...values, apiKey: keys[providerKey] }
+        : values);
+    });
+
+    set({ providerSettings, hasStoredKeys: SettingsService.hasStoredKeys() });
+  }
+}));
+
+// Apply saved settings on startup; keys follow once the user unlocks them
+Object.entries(useSettingsStore.getState().providerSettings).forEach(([providerKey, values]) => {
+  if (AIProviderService.getProviderSettings(providerKey)) {
+    AIProviderService.configureProvider(providerKey, values);
+  }
+});
+
+export default useSettingsStore;
@@ -1,12 +1,90 @@
-import { defineConfig } from 'vite'
+import { createReadStream, readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, join } from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createExtractHandler } from './server/extractProxy.js'
+import { createFixtureHandler } from './server/fixtureRecorder.js'
+
+/**
+ * Serves the /api/extract proxy from the dev and preview servers,
+ * using the non-VITE_ keys from .env so they never reach the bundle
+ */
+function extractProxy(env) {
+  const handler = createExtractHandler(env)
+  // A function returned from configureServer would run as a post hook, so return nothing
+  const mount = (server) => {
+    server.middlewares.use('/api/extract', handler)
+  }
+  return {
+    name: 'extract-proxy',
+    configureServer: mount,
+    configurePreviewServer: mount
+  }
+}
+
+/**
+ * Lets the mock provider's record mode save responses to public/fixtures (dev server only)
+ */
+function fixtureRecorder() {
+  return {
+    name: 'fixture-recorder',
+    configureServer: (server) => {
+      server.middlewares.use('/api/fixtures', createFixtureHandler(`${server.config.publicDir}/fixtures`))
+    }
+  }
+}
+
+/**
+ * Bundles the OCR provider's engine and English language data, so in-browser OCR
+ * runs without fetching anything from a CDN: the tesseract.js worker and WebAssembly
+ * cores under /tesseract, the language data as /tessdata/eng.traineddata.gz
+ */
+function tesseractAssets() {
+  const require = createRequire(import.meta.url)
+  const packageDir = (name) => dirname(require.resolve(`${name}/package.json`))
+  const files = {
+    'tesseract/worker.min.js': join(packageDir('tesseract.js'), 'dist', 'worker.min.js'),
+    // The OCR provider runs the LSTM engine only; the worker picks the SIMD build where supported
+    'tesseract/tesseract-core-lstm.wasm.js': join(packageDir('tesseract.js-core'), 'tesseract-core-lstm.wasm.js'),
+    'tesseract/tesseract-core-simd-lstm.wasm.js': join(packageDir('tesseract.js-core'), 'tesseract-core-simd-lstm.wasm.js'),
+    // The integer LSTM model tesseract.js uses by default
+    'tessdata/eng.traineddata.gz': join(packageDir('@tesseract.js-data/eng'), '4.0.0_best_int', 'eng.traineddata.gz')
+  }
+  const mount = (server) => {
+    Object.entries(files).forEach(([fileName, file]) => {
+      server.middlewares.use(`/${fileName}`, (req, res) => {
+        res.setHeader('Content-Type', fileName.endsWith('.gz') ? 'application/gzip' : 'text/javascript')
+        createReadStream(file).pipe(res)
+      })
+    })
+  }
+  return {
+    name: 'tesseract-assets',
+    configureServer: mount,
+    configurePreviewServer: mount,
+    generateBundle() {
+      Object.entries(files).forEach(([fileName, file]) => {
+        this.emitFile({ type: 'asset', fileName, source: readFileSync(file) })
+      })
+    }
+  }
+}
 
 // https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), extractProxy({ ...process.env, ...loadEnv(mode, process.cwd(), '') }), fixtureRecorder(), tesseractAssets()],
   server: {
     port: 3000,
     open: true
+  },
+  test: {
+    environment: 'node',
+    setupFiles: ['./src/test/setup.js'],
+    // Extraction runs offline against the mock provider's fixtures
+    env: {
+      VITE_MOCK_PROVIDER: 'true',
+      VITE_OCR_PROVIDER: 'false'
+    }
   }
-})
-
+}))